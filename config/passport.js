@@ -33,7 +33,9 @@ console.log("===============================");
         clientID: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
         callbackURL: getGoogleCallbackUrl(),
-        proxy: true
+        proxy: true,
+        // CSRF protection: random state stored in the session and checked on callback
+        state: true
       },
       async (accessToken, refreshToken, profile, done) => {
         try {
@@ -61,6 +63,12 @@ console.log("===============================");
 
             user.googleId = googleId;
 
+            // Google has verified ownership of this email
+            if (!user.isEmailVerified) {
+              user.isEmailVerified = true;
+              user.emailVerifiedAt = Date.now();
+            }
+
             if (!user.name) {
               user.name = displayName;
             }
@@ -81,7 +89,9 @@ console.log("===============================");
             email,
             googleId,
             avatar,
-            isActive: true
+            isActive: true,
+            isEmailVerified: true,
+            emailVerifiedAt: Date.now()
           });
 
           return done(null, user);
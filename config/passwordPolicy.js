@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Password policy
+// Tunable with environment variables; defaults follow current NIST guidance
+// (length over complexity) while keeping the letter + number rule.
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, 'common-passwords.txt');
+
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+const readBoolean = (name, defaultValue) => {
+  const value = process.env[name];
+  return value === undefined ? defaultValue : value === 'true';
+};
+
+const getPasswordPolicy = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxBytes: MAX_PASSWORD_BYTES,
+  requireLowercase: readBoolean('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: readBoolean('PASSWORD_REQUIRE_UPPERCASE', false),
+  requireNumber: readBoolean('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: readBoolean('PASSWORD_REQUIRE_SYMBOL', false),
+  rejectCommon: readBoolean('PASSWORD_REJECT_COMMON', true),
+  historyCount: Number(process.env.PASSWORD_HISTORY_COUNT ?? 5)
+});
+
+let commonPasswords = null;
+
+// Loaded once on first use
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+
+  return commonPasswords;
+};
+
+// Also catches common passwords with digits or symbols appended ("Password2024!")
+const isCommonPassword = (password) => {
+  const lowered = password.toLowerCase();
+  const base = lowered.replace(/[^a-z]+$/, '');
+  const list = getCommonPasswords();
+
+  return list.has(lowered) || (base.length >= 4 && list.has(base));
+};
+
+module.exports = {
+  getPasswordPolicy,
+  isCommonPassword
+};
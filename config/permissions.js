@@ -0,0 +1,68 @@
+// Role-based access control
+// Every permission is `<resource>:<action>`; routes are guarded with
+// authorize(permission) from middleware/authMiddleware.js.
+// API keys are scoped with the same permission strings.
+
+const PERMISSIONS = [
+  'dashboard:read',
+  'users:read',
+  'users:delete',
+  'users:manage_sessions',
+  'users:assign_roles',
+  'users:impersonate',
+  'orders:read',
+  'orders:update_status',
+  'location:write',
+  'products:write',
+  'categories:write',
+  'reviews:moderate',
+  'questions:manage',
+  'api_keys:manage',
+  'audit:read'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: PERMISSIONS,
+  inventory_manager: [
+    'dashboard:read',
+    'orders:read',
+    'products:write',
+    'categories:write',
+    'questions:manage'
+  ],
+  support: [
+    'dashboard:read',
+    'users:read',
+    'users:manage_sessions',
+    'orders:read',
+    'reviews:moderate',
+    'questions:manage'
+  ],
+  delivery_agent: [
+    'orders:read',
+    'orders:update_status',
+    'location:write'
+  ],
+  finance: [
+    'dashboard:read',
+    'users:read',
+    'orders:read'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Get permissions granted to a role
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Check if a role grants a permission
+const hasPermission = (role, permission) => getPermissionsForRole(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getPermissionsForRole,
+  hasPermission
+};
@@ -0,0 +1,106 @@
+const asyncHandler = require('express-async-handler');
+const ApiKey = require('../models/ApiKey');
+const { createApiKey } = require('../utils/apiKeyService');
+const { PERMISSIONS } = require('../config/permissions');
+const { recordAudit } = require('../utils/auditLog');
+const { paginate, sendPage } = require('../utils/pagination');
+
+// @desc    Create API key (plain key is returned only once)
+// @route   POST /api/admin/api-keys
+// @access  Private (api_keys:manage)
+exports.createKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    const error = new Error('Please provide a name and at least one scope');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const invalidScopes = scopes.filter((scope) => !PERMISSIONS.includes(scope));
+  if (invalidScopes.length > 0) {
+    const error = new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let expiresAt;
+  if (expiresInDays !== undefined) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      const error = new Error('expiresInDays must be a positive number');
+      error.statusCode = 400;
+      throw error;
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const { apiKey, key } = await createApiKey({
+    name,
+    scopes,
+    expiresAt,
+    createdBy: req.user._id
+  });
+
+  await recordAudit(req, {
+    action: 'api_key.create',
+    targetType: 'ApiKey',
+    targetId: apiKey._id,
+    metadata: { name, prefix: apiKey.prefix, scopes, expiresAt }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Store this key now, it will not be shown again',
+    data: {
+      _id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      key
+    }
+  });
+});
+
+// @desc    List API keys
+// @route   GET /api/admin/api-keys
+// @access  Private (api_keys:manage)
+exports.getKeys = asyncHandler(async (req, res) => {
+  const page = await paginate(req, ApiKey, {}, {
+    sort: { createdAt: -1 },
+    build: (apiKeys) => apiKeys.populate('createdBy', 'name email')
+  });
+
+  sendPage(req, res, page);
+});
+
+// @desc    Revoke API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (api_keys:manage)
+exports.revokeKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    const error = new Error('API key not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = Date.now();
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked successfully'
+  });
+});
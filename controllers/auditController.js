@@ -0,0 +1,130 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { toCsvCell } = require('../utils/csv');
+const { paginate, sendPage } = require('../utils/pagination');
+
+// Upper bound for a single CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'actor',
+  'actorEmail',
+  'apiKey',
+  'impersonatedUser',
+  'action',
+  'targetType',
+  'targetId',
+  'changes',
+  'method',
+  'path',
+  'statusCode',
+  'ipAddress',
+  'userAgent'
+];
+
+const invalidFilter = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Helper function to build the MongoDB query from request filters
+const buildAuditQuery = ({ actor, action, targetType, targetId, impersonatedUser, from, to }) => {
+  const query = {};
+
+  for (const [field, value] of Object.entries({ actor, impersonatedUser })) {
+    if (value) {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw invalidFilter(`Invalid ${field} ID`);
+      }
+      query[field] = value;
+    }
+  }
+
+  // Repeated or bracketed parameters arrive as arrays and objects
+  for (const [field, value] of Object.entries({ action, targetType })) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw invalidFilter(`Invalid ${field} filter`);
+    }
+  }
+
+  // `product.` matches every product action
+  if (action) {
+    query.action = action.endsWith('.')
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+
+  if (targetType) {
+    query.targetType = targetType;
+  }
+
+  if (targetId) {
+    query.targetId = String(targetId);
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+
+    for (const [operator, value] of [['$gte', from], ['$lte', to]]) {
+      if (value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw invalidFilter('Invalid date filter');
+        }
+        query.createdAt[operator] = date;
+      }
+    }
+  }
+
+  return query;
+};
+
+// Helper function to flatten an entry into CSV columns
+const toCsvRow = (entry) => {
+  const row = {
+    ...entry,
+    actor: entry.actor ? entry.actor._id : '',
+    actorEmail: entry.actor ? entry.actor.email : '',
+    changes: entry.changes ? JSON.stringify(entry.changes) : ''
+  };
+
+  return CSV_COLUMNS.map((column) => toCsvCell(row[column])).join(',');
+};
+
+// @desc    Get audit log entries (filterable, CSV with ?format=csv)
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+exports.getAuditLogs = asyncHandler(async (req, res) => {
+  const { format } = req.query;
+  const query = buildAuditQuery(req.query);
+
+  if (format === 'csv') {
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'email')
+      .sort('-createdAt')
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const csv = [CSV_COLUMNS.join(','), ...entries.map(toCsvRow)].join('\n');
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-log-${date}.csv`);
+    return res.status(200).send(csv);
+  }
+
+  const page = await paginate(req, AuditLog, query, {
+    sort: { createdAt: -1 },
+    defaultLimit: 50,
+    maxLimit: 200,
+    build: (entries) => entries
+      .populate('actor', 'name email role')
+      .populate('impersonatedUser', 'name email')
+      .populate('apiKey', 'name prefix')
+  });
+
+  sendPage(req, res, page);
+});
@@ -1,48 +1,156 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const { sendEmail, getFrontendUrl } = require('../utils/sendEmail');
+const { recordLoginEvent, getLoginHistory } = require('../utils/loginHistory');
+const { sendPage } = require('../utils/pagination');
+const { verifyGoogleIdToken } = require('../utils/googleIdToken');
+const { sendSms } = require('../utils/sendSms');
+const {
+  findUserByPhone,
+  issueLoginToken,
+  discardLoginToken,
+  verifyOtp,
+  consumeMagicLink
+} = require('../utils/passwordless');
+const {
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  getUserSessions,
+  revokeSession,
+  revokeAllSessions,
+  markSessionTwoFactorVerified,
+  createAuthorizationCode,
+  consumeAuthorizationCode,
+  setAuthCookies,
+  clearAuthCookies
+} = require('../utils/tokenService');
+const { validateEmail, validatePassword, validatePhone, sanitizeInput } = require('../utils/validation');
+const { getPermissionsForRole } = require('../config/permissions');
+const {
+  generateSecret,
+  buildOtpAuthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
 
-function getFrontendUrl() {
-  if (process.env.FRONTEND_URL) {
-    return process.env.FRONTEND_URL;
-  }
+// Minimum delay between verification emails for the same account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
 
-  if (process.env.NODE_ENV === 'production') {
-    throw new Error('FRONTEND_URL must be set in production');
-  }
+// Helper function to email a signed verification link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.generateEmailVerificationToken();
+  const verifyUrl = `${getFrontendUrl()}/verify-email/${verificationToken}`;
 
-  return 'http://localhost:5173';
-}
-const { validateEmail, validatePassword, sanitizeInput } = require('../utils/validation');
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your OrganicMart email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\n` +
+      'If you did not create an OrganicMart account, you can ignore this email.'
+  });
 
-// Helper function to send token response with cookie
-const sendTokenResponse = (user, statusCode, res) => {
-  // Generate JWT token
-  const token = user.generateToken();
+  user.emailVerificationSentAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+};
 
-  // Cookie options
-  const options = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    httpOnly: true, // Prevents XSS attacks
-    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-    sameSite: 'strict' // CSRF protection
-  };
+// Helper function to start a session and send token response with cookies
+const sendTokenResponse = async (user, statusCode, req, res, sessionOptions = {}) => {
+  // Create server-side session with access + refresh tokens
+  const tokens = await createSession(user, getClientInfo(req), sessionOptions);
+
+  setAuthCookies(res, tokens);
 
   res
     .status(statusCode)
-    .cookie('token', token, options)
     .json({
       success: true,
-      token,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
       data: {
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: getPermissionsForRole(user.role),
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        twoFactorSetupRequired: user.requiresTwoFactor() && !user.twoFactorEnabled,
         createdAt: user.createdAt
       }
     });
 };
 
+// Helper function to build the error for a temporarily locked account
+const accountLockedError = (user) => {
+  const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+  const error = new Error(
+    `Account temporarily locked due to too many failed login attempts. Try again in ${minutesLeft} minute(s)`
+  );
+  error.statusCode = 423;
+  return error;
+};
+
+// Helper function to ask for the second login step instead of issuing tokens
+const sendTwoFactorChallenge = (user, res) => {
+  res.status(200).json({
+    success: true,
+    twoFactorRequired: true,
+    challengeToken: user.generateTwoFactorChallengeToken(),
+    message: 'Enter the code from your authenticator app'
+  });
+};
+
+// Helper function to check a TOTP or recovery code (consumes the code on success)
+// User must be loaded with +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep
+const consumeTwoFactorCode = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+    if (step === null) {
+      return false;
+    }
+
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const codes = user.twoFactorRecoveryCodes || [];
+    if (!codes.includes(hashed)) {
+      return false;
+    }
+
+    user.twoFactorRecoveryCodes = codes.filter((item) => item !== hashed);
+    return true;
+  }
+
+  return false;
+};
+
+// Helper function to finish a passwordless login once the code or link checked out
+const completePasswordlessLogin = async (user, method, req, res) => {
+  // Passwordless replaces the password, not the second factor
+  if (user.twoFactorEnabled) {
+    await recordLoginEvent(req, { user, outcome: '2fa_required', method });
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await user.resetLoginAttempts();
+  await recordLoginEvent(req, { user, outcome: 'success', method });
+
+  await sendTokenResponse(user, 200, req, res);
+};
+
+// Helper function to issue fresh hashed recovery codes (returns plain codes once)
+const resetRecoveryCodes = (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  return recoveryCodes;
+};
+
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -99,8 +207,15 @@ exports.register = asyncHandler(async (req, res) => {
 
     console.log('✅ User created successfully:', user.email);
 
+    // Registration succeeds even if the mail transport is down; the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error('❌ Verification email error:', err.message);
+    }
+
     // Send token response with cookie
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     console.error('❌ Registration error:', error);
     res.status(500).json({
@@ -135,13 +250,21 @@ exports.login = asyncHandler(async (req, res) => {
   const user = await User.findOne({ email }).select('+password');
 
   if (!user) {
+    await recordLoginEvent(req, { email, outcome: 'unknown_user' });
     const error = new Error('Invalid credentials');
     error.statusCode = 401;
     throw error;
   }
 
+  // Per-account lockout (complements the per-IP authLimiter)
+  if (user.isLocked()) {
+    await recordLoginEvent(req, { user, outcome: 'locked' });
+    throw accountLockedError(user);
+  }
+
   // Check if user is active
   if (!user.isActive) {
+    await recordLoginEvent(req, { user, outcome: 'inactive' });
     const error = new Error('Your account has been deactivated');
     error.statusCode = 403;
     throw error;
@@ -151,28 +274,53 @@ exports.login = asyncHandler(async (req, res) => {
   const isMatch = await user.comparePassword(password);
 
   if (!isMatch) {
+    await user.registerFailedLogin();
+    await recordLoginEvent(req, { user, outcome: 'failed_password' });
     const error = new Error('Invalid credentials');
     error.statusCode = 401;
     throw error;
   }
 
+  // Second step required before issuing tokens
+  // (failed attempts are only reset once the second step succeeds)
+  if (user.twoFactorEnabled) {
+    await recordLoginEvent(req, { user, outcome: '2fa_required' });
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await user.resetLoginAttempts();
+  await recordLoginEvent(req, { user, outcome: 'success' });
+
   // Send token response with cookie
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Google OAuth authentication
 // @route   POST /api/auth/google
 // @access  Public
 exports.googleAuth = asyncHandler(async (req, res) => {
-  const { googleId, email, name } = req.body;
+  // Accept the Google Sign-In `credential` (ID token) under either name
+  const idToken = req.body.idToken || req.body.credential;
 
   // Validate input
-  if (!googleId || !email || !name) {
-    const error = new Error('Please provide all required Google OAuth fields');
+  if (!idToken) {
+    const error = new Error('Please provide a Google ID token');
     error.statusCode = 400;
     throw error;
   }
 
+  // Identity comes only from the verified token, never from the request body
+  const payload = await verifyGoogleIdToken(idToken);
+  const googleId = payload.sub;
+  const email = payload.email ? payload.email.toLowerCase() : null;
+  const name = payload.name || (email ? email.split('@')[0] : 'Google User');
+
+  if (!email || !payload.email_verified) {
+    const error = new Error('Google account email is not verified');
+    error.statusCode = 401;
+    throw error;
+  }
+
   // Check if user exists with googleId
   let user = await User.findOne({ googleId });
 
@@ -181,15 +329,21 @@ exports.googleAuth = asyncHandler(async (req, res) => {
     user = await User.findOne({ email });
 
     if (user) {
-      // Link Google account to existing user
+      // Link Google account to existing user (Google verified the email)
       user.googleId = googleId;
+      if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        user.emailVerifiedAt = Date.now();
+      }
       await user.save();
     } else {
       // Create new user
       user = await User.create({
         name,
         email,
-        googleId
+        googleId,
+        isEmailVerified: true,
+        emailVerifiedAt: Date.now()
       });
     }
   }
@@ -201,8 +355,16 @@ exports.googleAuth = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  // Second step required before issuing tokens
+  if (user.twoFactorEnabled) {
+    await recordLoginEvent(req, { user, outcome: '2fa_required', method: 'google' });
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await recordLoginEvent(req, { user, outcome: 'success', method: 'google' });
+
   // Send token response with cookie
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Google OAuth callback handler
@@ -216,24 +378,239 @@ exports.googleCallback = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Generate JWT token
-  const token = req.user.generateToken();
+  // Never put tokens in the URL: hand the frontend a one-time code instead
+  const code = await createAuthorizationCode(req.user);
 
-  // Cookie options
-  const cookieOptions = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'lax' // Changed from 'strict' to 'lax' for cross-site redirects
+  // Redirect to the configured frontend URL
+  const frontendUrl = getFrontendUrl();
+  res.redirect(`${frontendUrl}/auth/google/success?code=${code}`);
+});
+
+// @desc    Exchange Google OAuth authorization code for tokens
+// @route   POST /api/auth/google/exchange
+// @access  Public
+exports.googleExchange = asyncHandler(async (req, res) => {
+  const user = await consumeAuthorizationCode(req.body.code);
+
+  if (!user) {
+    const error = new Error('Invalid or expired authorization code');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (!user.isActive) {
+    const error = new Error('Your account has been deactivated');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  // Second step required before issuing tokens
+  if (user.twoFactorEnabled) {
+    await recordLoginEvent(req, { user, outcome: '2fa_required', method: 'google' });
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await recordLoginEvent(req, { user, outcome: 'success', method: 'google' });
+
+  // Send token response with cookie
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Send a one-time login code by SMS
+// @route   POST /api/auth/otp/request
+// @access  Public
+exports.requestOtp = asyncHandler(async (req, res) => {
+  const { phone } = req.body;
+
+  const phoneValidation = validatePhone(phone);
+  if (!phone || !phoneValidation.isValid) {
+    const error = new Error(phoneValidation.message || 'Please provide a phone number');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Same response whether or not the account exists (prevents phone enumeration)
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this phone number, a login code has been sent'
   };
 
-  // Set cookie
-  res.cookie('token', token, cookieOptions);
+  const user = await findUserByPhone(phone);
 
-  // Redirect to the configured frontend URL
-  const frontendUrl = getFrontendUrl();
-  const redirectUrl = `${frontendUrl}/auth/google/success?token=${token}`;
-  res.redirect(redirectUrl);
+  if (!user || !user.isActive || user.isLocked()) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const code = await issueLoginToken(user, 'sms');
+
+  // A code was sent less than a minute ago
+  if (!code) {
+    return res.status(200).json(genericResponse);
+  }
+
+  try {
+    await sendSms({
+      to: user.phone,
+      text: `${code} is your OrganicMart login code. It expires in ${Number(process.env.OTP_EXPIRE_MINUTES) || 5} minutes. Never share it with anyone.`
+    });
+  } catch (err) {
+    console.error('❌ Login code SMS error:', err.message);
+
+    await discardLoginToken(user, 'sms');
+
+    const error = new Error('Login code could not be sent');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc    Login with phone number and SMS code
+// @route   POST /api/auth/otp/verify
+// @access  Public
+exports.verifyOtpLogin = asyncHandler(async (req, res) => {
+  const { phone, code } = req.body;
+
+  if (!phone || !code) {
+    const error = new Error('Please provide phone number and code');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const user = await findUserByPhone(phone);
+
+  if (!user) {
+    await recordLoginEvent(req, { outcome: 'unknown_user', method: 'otp' });
+    const error = new Error('Invalid or expired code');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (user.isLocked()) {
+    await recordLoginEvent(req, { user, outcome: 'locked', method: 'otp' });
+    throw accountLockedError(user);
+  }
+
+  if (!user.isActive) {
+    await recordLoginEvent(req, { user, outcome: 'inactive', method: 'otp' });
+    const error = new Error('Your account has been deactivated');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (!(await verifyOtp(user, code))) {
+    await user.registerFailedLogin();
+    await recordLoginEvent(req, { user, outcome: 'failed_code', method: 'otp' });
+    const error = new Error('Invalid or expired code');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  // Receiving the code proves the user owns the number
+  if (!user.isPhoneVerified) {
+    user.isPhoneVerified = true;
+    user.phoneVerifiedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  await completePasswordlessLogin(user, 'otp', req, res);
+});
+
+// @desc    Email a one-time login link
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const emailValidation = validateEmail(email);
+  if (!emailValidation.isValid) {
+    const error = new Error(emailValidation.message);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Same response whether or not the account exists (prevents email enumeration)
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a login link has been sent'
+  };
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+
+  if (!user || !user.isActive || user.isLocked()) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const token = await issueLoginToken(user, 'email');
+
+  // A link was sent less than a minute ago
+  if (!token) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const loginUrl = `${getFrontendUrl()}/auth/magic-link?token=${token}`;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Your OrganicMart login link',
+      text: `Hi ${user.name},\n\nOpen the link below to log in to OrganicMart:\n\n${loginUrl}\n\n` +
+        'This link can be used once and expires soon. If you did not request it, you can ignore this email.'
+    });
+  } catch (err) {
+    console.error('❌ Magic link email error:', err.message);
+
+    await discardLoginToken(user, 'email');
+
+    const error = new Error('Login link could not be sent');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc    Login with an emailed magic link token
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+exports.verifyMagicLink = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    const error = new Error('Login token is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const user = await consumeMagicLink(token);
+
+  if (!user) {
+    const error = new Error('Login link is invalid or has expired');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (user.isLocked()) {
+    await recordLoginEvent(req, { user, outcome: 'locked', method: 'magic_link' });
+    throw accountLockedError(user);
+  }
+
+  if (!user.isActive) {
+    await recordLoginEvent(req, { user, outcome: 'inactive', method: 'magic_link' });
+    const error = new Error('Your account has been deactivated');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  // Opening the link proves the user owns the address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  await completePasswordlessLogin(user, 'magic_link', req, res);
 });
 
 // @desc    Get current logged in user profile
@@ -250,19 +627,51 @@ exports.getProfile = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: user
+    data: user,
+    ...(req.impersonating && {
+      impersonatedBy: { _id: req.actor._id, name: req.actor.name, email: req.actor.email }
+    })
   });
 });
 
-// @desc    Logout user (clear cookie)
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+  if (!refreshToken) {
+    const error = new Error('Refresh token is required');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  let tokens;
+
+  try {
+    tokens = await rotateRefreshToken(refreshToken, getClientInfo(req));
+  } catch (err) {
+    clearAuthCookies(res);
+    throw err;
+  }
+
+  setAuthCookies(res, tokens);
+
+  res.status(200).json({
+    success: true,
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken
+  });
+});
+
+// @desc    Logout user (revoke session and clear cookies)
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = asyncHandler(async (req, res) => {
-  // Clear cookie
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 1 * 1000), // Expire in 1 second
-    httpOnly: true
-  });
+  // Revoke the session so its access and refresh tokens stop working
+  await revokeSession(req.authSession._id, 'logout');
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -270,4 +679,489 @@ exports.logout = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeAllSessions(req.user._id, 'logout_all');
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out from all devices',
+    revokedSessions: revokedCount
+  });
+});
+
+// @desc    Get active sessions of logged in user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await getUserSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      isCurrent: session._id.equals(req.authSession._id)
+    }))
+  });
+});
+
+// @desc    Revoke one of the logged in user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.deleteSession = asyncHandler(async (req, res) => {
+  const sessions = await getUserSessions(req.user._id);
+  const session = sessions.find((item) => item._id.toString() === req.params.id);
+
+  if (!session) {
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await revokeSession(session._id, 'user_revoked');
+
+  // Revoking the current session is a logout
+  if (session._id.equals(req.authSession._id)) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+// @desc    Get login history of logged in user
+// @route   GET /api/auth/login-history
+// @access  Private
+exports.getMyLoginHistory = asyncHandler(async (req, res) => {
+  sendPage(req, res, await getLoginHistory(req, req.user._id));
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const emailValidation = validateEmail(email);
+  if (!emailValidation.isValid) {
+    const error = new Error(emailValidation.message);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Same response whether or not the account exists (prevents email enumeration)
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+
+  if (!user || !user.isActive) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${getFrontendUrl()}/reset-password/${resetToken}`;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'OrganicMart password reset',
+      text: `Hi ${user.name},\n\nWe received a request to reset your OrganicMart password. ` +
+        `Open the link below to choose a new one:\n\n${resetUrl}\n\n` +
+        'This link can be used once and expires soon. If you did not request a reset, you can ignore this email.'
+    });
+  } catch (err) {
+    console.error('❌ Password reset email error:', err.message);
+
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    const error = new Error('Password reset email could not be sent');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc    Reset password using emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const passwordValidation = validatePassword(password);
+  if (!passwordValidation.isValid) {
+    const error = new Error(passwordValidation.message);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() }
+  }).select('+password +passwordHistory');
+
+  if (!user) {
+    const error = new Error('Invalid or expired password reset token');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Set new password and consume the token
+  await user.changePassword(password);
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  // Sign out every existing session after a password reset
+  await revokeAllSessions(user._id, 'password_changed');
+
+  // The reset link proves access to the mailbox, not the second factor
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// Helper function to switch to the new email once the link sent there is opened
+const confirmEmailChange = async (decoded, res) => {
+  const user = await User.findById(decoded.id);
+
+  // Link is only valid for the change it was issued for
+  if (!user || user.email !== decoded.email || user.pendingEmail !== decoded.newEmail) {
+    const error = new Error('Invalid or expired verification link');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (await User.exists({ email: decoded.newEmail })) {
+    const error = new Error('Email is already in use');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  user.email = decoded.newEmail;
+  user.pendingEmail = undefined;
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email changed successfully'
+  });
+};
+
+// @desc    Verify email address from signed link
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(
+      req.params.token,
+      process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET
+    );
+  } catch (err) {
+    const error = new Error('Invalid or expired verification link');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (decoded.purpose === 'email-change') {
+    return confirmEmailChange(decoded, res);
+  }
+
+  if (decoded.purpose !== 'email-verification') {
+    const error = new Error('Invalid or expired verification link');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // Link is only valid for the email it was issued for
+  if (!user || user.email !== decoded.email) {
+    const error = new Error('Invalid or expired verification link');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (user.isEmailVerified) {
+    const error = new Error('Email is already verified');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (
+    user.emailVerificationSentAt &&
+    Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_INTERVAL_MS
+  ) {
+    const error = new Error('Please wait a minute before requesting another verification email');
+    error.statusCode = 429;
+    throw error;
+  }
+
+  await sendVerificationEmail(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// @desc    Complete login with TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+exports.verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    const error = new Error('Please provide the challenge token and a verification code');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let decoded;
+
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    const error = new Error('Login challenge has expired, please log in again');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (decoded.purpose !== '2fa-challenge') {
+    const error = new Error('Invalid login challenge');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const user = await User.findById(decoded.id)
+    .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    const error = new Error('Invalid login challenge');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (user.isLocked()) {
+    await recordLoginEvent(req, { user, outcome: 'locked', method: '2fa' });
+    throw accountLockedError(user);
+  }
+
+  if (!consumeTwoFactorCode(user, { code, recoveryCode })) {
+    await user.registerFailedLogin();
+    await recordLoginEvent(req, { user, outcome: 'failed_2fa', method: '2fa' });
+    const error = new Error('Invalid verification code');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await user.resetLoginAttempts();
+
+  await recordLoginEvent(req, { user, outcome: 'success', method: '2fa' });
+
+  await sendTokenResponse(user, 200, req, res, { twoFactorVerified: true });
+});
+
+// @desc    Start TOTP enrollment (returns secret and otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is already enabled');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUri: buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TOTP_ISSUER || 'OrganicMart'
+      })
+    }
+  });
+});
+
+// @desc    Confirm TOTP enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+  if (user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is already enabled');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    const error = new Error('Start two-factor setup first');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+
+  if (step === null) {
+    const error = new Error('Invalid verification code');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabled = true;
+  const recoveryCodes = resetRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  // The current session just proved possession of the second factor
+  await markSessionTwoFactorVerified(req.authSession._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: { recoveryCodes }
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+  if (!user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is not enabled');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (user.requiresTwoFactor()) {
+    const error = new Error('Two-factor authentication is mandatory for this account');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  // Password is confirmed when the account has one (Google-only accounts do not)
+  if (user.password && !(await user.comparePassword(password || ''))) {
+    const error = new Error('Invalid password');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (!consumeTwoFactorCode(user, { code, recoveryCode })) {
+    const error = new Error('Invalid verification code');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id)
+    .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+  if (!user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is not enabled');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!consumeTwoFactorCode(user, { code })) {
+    const error = new Error('Invalid verification code');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const recoveryCodes = resetRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
+
 module.exports = exports;
@@ -2,11 +2,49 @@ const asyncHandler = require('express-async-handler');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 
+// Helper function to load a product and the variant being bought
+// (variantId is required for products with variants and rejected otherwise)
+const getPurchasableProduct = async (productId, variantId) => {
+  const product = await Product.findById(productId);
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const option = product.getPurchaseOption(variantId);
+  if (!option) {
+    const error = new Error(
+      product.variants.length > 0 ? 'Please select a valid product variant' : 'This product has no variants'
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { product, option };
+};
+
+// Helper function to find the cart line for a product variant
+const findCartItemIndex = (cart, productId, variantId) => {
+  return cart.items.findIndex(
+    item => item.productId.toString() === productId &&
+      String(item.variantId || '') === String(variantId || '')
+  );
+};
+
+// Helper function to drop one variant line, or every line of the product when no variant is given
+const removeCartItems = (cart, productId, variantId) => {
+  cart.items = cart.items.filter(
+    item => item.productId.toString() !== productId ||
+      (variantId && String(item.variantId || '') !== String(variantId))
+  );
+};
+
 // @desc    Add item to cart
 // @route   POST /api/cart/add
 // @access  Private
 exports.addToCart = asyncHandler(async (req, res) => {
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
 
   if (!productId) {
     const error = new Error('Product ID is required');
@@ -14,16 +52,11 @@ exports.addToCart = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Check if product exists
-  const product = await Product.findById(productId);
-  if (!product) {
-    const error = new Error('Product not found');
-    error.statusCode = 404;
-    throw error;
-  }
+  // Check if product (and variant) exists
+  const { option } = await getPurchasableProduct(productId, variantId);
 
   // Check if product is in stock
-  if (product.stock < (quantity || 1)) {
+  if (option.stock < (quantity || 1)) {
     const error = new Error('Insufficient stock');
     error.statusCode = 400;
     throw error;
@@ -36,20 +69,18 @@ exports.addToCart = asyncHandler(async (req, res) => {
     // Create new cart
     cart = await Cart.create({
       userId: req.user._id,
-      items: [{ productId, quantity: quantity || 1 }]
+      items: [{ productId, variantId, quantity: quantity || 1 }]
     });
   } else {
     // Check if product already exists in cart
-    const itemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
-    );
+    const itemIndex = findCartItemIndex(cart, productId, variantId);
 
     if (itemIndex > -1) {
       // Update quantity
       const newQuantity = cart.items[itemIndex].quantity + (quantity || 1);
       
       // Check stock availability
-      if (product.stock < newQuantity) {
+      if (option.stock < newQuantity) {
         const error = new Error('Insufficient stock');
         error.statusCode = 400;
         throw error;
@@ -58,14 +89,14 @@ exports.addToCart = asyncHandler(async (req, res) => {
       cart.items[itemIndex].quantity = newQuantity;
     } else {
       // Add new item to cart
-      cart.items.push({ productId, quantity: quantity || 1 });
+      cart.items.push({ productId, variantId, quantity: quantity || 1 });
     }
 
     await cart.save();
   }
 
   // Populate cart with product details
-  await cart.populate('items.productId', 'name price image stock');
+  await cart.populate('items.productId', 'name price image stock variants');
 
   res.status(200).json({
     success: true,
@@ -78,7 +109,7 @@ exports.addToCart = asyncHandler(async (req, res) => {
 // @access  Private
 exports.getCart = asyncHandler(async (req, res) => {
   const cart = await Cart.findOne({ userId: req.user._id })
-    .populate('items.productId', 'name price image stock category');
+    .populate('items.productId', 'name price image stock category variants');
 
   if (!cart) {
     return res.status(200).json({
@@ -97,7 +128,7 @@ exports.getCart = asyncHandler(async (req, res) => {
 // @route   PUT /api/cart/update
 // @access  Private
 exports.updateCartItem = asyncHandler(async (req, res) => {
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
 
   if (!productId || !quantity) {
     const error = new Error('Product ID and quantity are required');
@@ -112,14 +143,9 @@ exports.updateCartItem = asyncHandler(async (req, res) => {
   }
 
   // Check if product exists and has enough stock
-  const product = await Product.findById(productId);
-  if (!product) {
-    const error = new Error('Product not found');
-    error.statusCode = 404;
-    throw error;
-  }
+  const { option } = await getPurchasableProduct(productId, variantId);
 
-  if (product.stock < quantity) {
+  if (option.stock < quantity) {
     const error = new Error('Insufficient stock');
     error.statusCode = 400;
     throw error;
@@ -134,9 +160,7 @@ exports.updateCartItem = asyncHandler(async (req, res) => {
   }
 
   // Find item in cart
-  const itemIndex = cart.items.findIndex(
-    item => item.productId.toString() === productId
-  );
+  const itemIndex = findCartItemIndex(cart, productId, variantId);
 
   if (itemIndex === -1) {
     const error = new Error('Product not found in cart');
@@ -149,7 +173,7 @@ exports.updateCartItem = asyncHandler(async (req, res) => {
   await cart.save();
 
   // Populate cart with product details
-  await cart.populate('items.productId', 'name price image stock');
+  await cart.populate('items.productId', 'name price image stock variants');
 
   res.status(200).json({
     success: true,
@@ -158,10 +182,11 @@ exports.updateCartItem = asyncHandler(async (req, res) => {
 });
 
 // @desc    Remove item from cart
-// @route   DELETE /api/cart/remove/:productId
+// @route   DELETE /api/cart/remove/:productId?variantId=
 // @access  Private
 exports.removeFromCart = asyncHandler(async (req, res) => {
   const { productId } = req.params;
+  const { variantId } = req.query;
 
   if (!productId) {
     const error = new Error('Product ID is required');
@@ -178,14 +203,12 @@ exports.removeFromCart = asyncHandler(async (req, res) => {
   }
 
   // Remove item from cart
-  cart.items = cart.items.filter(
-    item => item.productId.toString() !== productId
-  );
+  removeCartItems(cart, productId, variantId);
 
   await cart.save();
 
   // Populate cart with product details
-  await cart.populate('items.productId', 'name price image stock');
+  await cart.populate('items.productId', 'name price image stock variants');
 
   res.status(200).json({
     success: true,
@@ -220,7 +243,7 @@ exports.clearCart = asyncHandler(async (req, res) => {
 // @route   POST /api/cart/guest/add
 // @access  Public
 exports.addToGuestCart = asyncHandler(async (req, res) => {
-  const { productId, quantity, sessionId } = req.body;
+  const { productId, variantId, quantity, sessionId } = req.body;
 
   if (!productId || !sessionId) {
     const error = new Error('Product ID and session ID are required');
@@ -228,13 +251,8 @@ exports.addToGuestCart = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Check if product exists
-  const product = await Product.findById(productId);
-  if (!product) {
-    const error = new Error('Product not found');
-    error.statusCode = 404;
-    throw error;
-  }
+  // Check if product (and variant) exists
+  await getPurchasableProduct(productId, variantId);
 
   // Find or create guest cart using sessionId as userId
   let cart = await Cart.findOne({ userId: sessionId });
@@ -243,28 +261,26 @@ exports.addToGuestCart = asyncHandler(async (req, res) => {
     // Create new cart for guest
     cart = await Cart.create({
       userId: sessionId,
-      items: [{ productId, quantity: quantity || 1 }],
+      items: [{ productId, variantId, quantity: quantity || 1 }],
       isGuest: true
     });
   } else {
     // Check if product already exists in cart
-    const itemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
-    );
+    const itemIndex = findCartItemIndex(cart, productId, variantId);
 
     if (itemIndex > -1) {
       // Update quantity
       cart.items[itemIndex].quantity += (quantity || 1);
     } else {
       // Add new item to cart
-      cart.items.push({ productId, quantity: quantity || 1 });
+      cart.items.push({ productId, variantId, quantity: quantity || 1 });
     }
 
     await cart.save();
   }
 
   // Populate cart with product details
-  await cart.populate('items.productId', 'name price image stock category');
+  await cart.populate('items.productId', 'name price image stock category variants');
 
   res.status(200).json({
     success: true,
@@ -287,7 +303,7 @@ exports.getGuestCart = asyncHandler(async (req, res) => {
   }
 
   const cart = await Cart.findOne({ userId: sessionId })
-    .populate('items.productId', 'name price image stock category');
+    .populate('items.productId', 'name price image stock category variants');
 
   if (!cart) {
     return res.status(200).json({
@@ -306,7 +322,7 @@ exports.getGuestCart = asyncHandler(async (req, res) => {
 // @route   PUT /api/cart/guest/update
 // @access  Public
 exports.updateGuestCartItem = asyncHandler(async (req, res) => {
-  const { productId, quantity, sessionId } = req.body;
+  const { productId, variantId, quantity, sessionId } = req.body;
 
   if (!productId || !quantity || !sessionId) {
     const error = new Error('Product ID, quantity, and session ID are required');
@@ -321,14 +337,9 @@ exports.updateGuestCartItem = asyncHandler(async (req, res) => {
   }
 
   // Check if product exists and has enough stock
-  const product = await Product.findById(productId);
-  if (!product) {
-    const error = new Error('Product not found');
-    error.statusCode = 404;
-    throw error;
-  }
+  const { option } = await getPurchasableProduct(productId, variantId);
 
-  if (product.stock < quantity) {
+  if (option.stock < quantity) {
     const error = new Error('Insufficient stock');
     error.statusCode = 400;
     throw error;
@@ -343,9 +354,7 @@ exports.updateGuestCartItem = asyncHandler(async (req, res) => {
   }
 
   // Find item in cart
-  const itemIndex = cart.items.findIndex(
-    item => item.productId.toString() === productId
-  );
+  const itemIndex = findCartItemIndex(cart, productId, variantId);
 
   if (itemIndex === -1) {
     const error = new Error('Product not found in cart');
@@ -358,7 +367,7 @@ exports.updateGuestCartItem = asyncHandler(async (req, res) => {
   await cart.save();
 
   // Populate cart with product details
-  await cart.populate('items.productId', 'name price image stock category');
+  await cart.populate('items.productId', 'name price image stock category variants');
 
   res.status(200).json({
     success: true,
@@ -368,11 +377,12 @@ exports.updateGuestCartItem = asyncHandler(async (req, res) => {
 });
 
 // @desc    Remove item from guest cart
-// @route   DELETE /api/cart/guest/remove/:productId
+// @route   DELETE /api/cart/guest/remove/:productId?variantId=
 // @access  Public
 exports.removeFromGuestCart = asyncHandler(async (req, res) => {
   const { productId } = req.params;
   const { sessionId } = req.body;
+  const { variantId } = req.query;
 
   if (!sessionId) {
     const error = new Error('Session ID is required');
@@ -389,14 +399,12 @@ exports.removeFromGuestCart = asyncHandler(async (req, res) => {
   }
 
   // Remove item from cart
-  cart.items = cart.items.filter(
-    item => item.productId.toString() !== productId
-  );
+  removeCartItems(cart, productId, variantId);
 
   await cart.save();
 
   // Populate cart with product details
-  await cart.populate('items.productId', 'name price image stock category');
+  await cart.populate('items.productId', 'name price image stock category variants');
 
   res.status(200).json({
     success: true,
@@ -1,42 +1,106 @@
 const asyncHandler = require('express-async-handler');
 const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { recordAudit, diffChanges } = require('../utils/auditLog');
+const { storeImage, deleteImages } = require('../utils/imageService');
+const { paginate, sendPage } = require('../utils/pagination');
 
-// @desc    Get all categories
+// Helper function to nest a flat, sorted category list under its parents
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [category._id.toString(), { ...category.toObject(), children: [] }])
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+// Helper function to load a category by ID or slug
+const findCategory = async (idOrSlug) => {
+  const category = await Category.resolve(idOrSlug);
+
+  if (!category) {
+    const error = new Error('Category not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return category;
+};
+
+// @desc    Get all categories (flat, or nested with ?tree=true)
 // @route   GET /api/categories
 // @access  Public
 exports.getCategories = asyncHandler(async (req, res) => {
-  const categories = await Category.find({ isActive: true });
+  // The tree is always returned whole, a page of it would have orphaned branches
+  if (req.query.tree === 'true') {
+    const categories = await Category.find({ isActive: true })
+      .sort({ sortOrder: 1, name: 1 });
 
-  res.status(200).json({
-    success: true,
-    count: categories.length,
-    data: categories
+    return res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: buildCategoryTree(categories)
+    });
+  }
+
+  const page = await paginate(req, Category, { isActive: true }, {
+    sort: { sortOrder: 1, name: 1 },
+    defaultLimit: 100,
+    maxLimit: 200
   });
+
+  sendPage(req, res, page);
 });
 
-// @desc    Get single category
-// @route   GET /api/categories/:id
+// @desc    Get single category with its breadcrumb and subcategories
+// @route   GET /api/categories/:id (ID or slug)
 // @access  Public
 exports.getCategory = asyncHandler(async (req, res) => {
-  const category = await Category.findById(req.params.id);
+  const category = await findCategory(req.params.id);
 
-  if (!category) {
-    const error = new Error('Category not found');
-    error.statusCode = 404;
-    throw error;
-  }
+  const [ancestors, children] = await Promise.all([
+    Category.find({ _id: { $in: category.ancestors } }).select('name slug'),
+    Category.find({ parent: category._id, isActive: true }).sort({ sortOrder: 1, name: 1 })
+  ]);
+
+  // Keep breadcrumb in root-to-parent order
+  const breadcrumb = category.ancestors
+    .map((id) => ancestors.find((ancestor) => ancestor._id.equals(id)))
+    .filter(Boolean);
 
   res.status(200).json({
     success: true,
-    data: category
+    data: {
+      ...category.toObject(),
+      breadcrumb,
+      children
+    }
   });
 });
 
 // @desc    Create new category
 // @route   POST /api/categories
-// @access  Private/Admin
+// @access  Private (categories:write)
 exports.createCategory = asyncHandler(async (req, res) => {
-  const category = await Category.create(req.body);
+  const { ancestors, imageAsset, ...data } = req.body;
+  const category = await Category.create(data);
+
+  await recordAudit(req, {
+    action: 'category.create',
+    targetType: 'Category',
+    targetId: category._id,
+    changes: diffChanges(null, category)
+  });
 
   res.status(201).json({
     success: true,
@@ -46,19 +110,41 @@ exports.createCategory = asyncHandler(async (req, res) => {
 
 // @desc    Update category
 // @route   PUT /api/categories/:id
-// @access  Private/Admin
+// @access  Private (categories:write)
 exports.updateCategory = asyncHandler(async (req, res) => {
-  let category = await Category.findById(req.params.id);
+  const category = await findCategory(req.params.id);
+  const before = category.toObject();
 
-  if (!category) {
-    const error = new Error('Category not found');
-    error.statusCode = 404;
-    throw error;
+  // The ancestor path is derived from `parent` and uploads go through the image endpoint
+  const { ancestors, imageAsset, ...updates } = req.body;
+
+  // save() (not findByIdAndUpdate) so the slug and ancestor path are maintained
+  category.set(updates);
+  const parentChanged = category.isModified('parent');
+
+  // Replacing an uploaded image with a URL leaves its files unused
+  const replacedAsset = category.imageAsset && category.image !== category.imageAsset.mediumUrl
+    ? category.imageAsset
+    : null;
+  if (replacedAsset) {
+    category.imageAsset = undefined;
+  }
+
+  await category.save();
+
+  if (parentChanged) {
+    await category.updateDescendantPaths();
   }
 
-  category = await Category.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
+  if (replacedAsset) {
+    await deleteImages([replacedAsset]);
+  }
+
+  await recordAudit(req, {
+    action: 'category.update',
+    targetType: 'Category',
+    targetId: category._id,
+    changes: diffChanges(before, category)
   });
 
   res.status(200).json({
@@ -69,20 +155,76 @@ exports.updateCategory = asyncHandler(async (req, res) => {
 
 // @desc    Delete category
 // @route   DELETE /api/categories/:id
-// @access  Private/Admin
+// @access  Private (categories:write)
 exports.deleteCategory = asyncHandler(async (req, res) => {
-  const category = await Category.findById(req.params.id);
+  const category = await findCategory(req.params.id);
 
-  if (!category) {
-    const error = new Error('Category not found');
-    error.statusCode = 404;
+  const [childCount, productCount] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Product.countDocuments({ category: category._id })
+  ]);
+
+  if (childCount > 0 || productCount > 0) {
+    const error = new Error(
+      `Category still has ${childCount} subcategories and ${productCount} products; move them first`
+    );
+    error.statusCode = 400;
     throw error;
   }
 
   await category.deleteOne();
+  await deleteImages([category.imageAsset]);
+
+  await recordAudit(req, {
+    action: 'category.delete',
+    targetType: 'Category',
+    targetId: category._id,
+    changes: diffChanges(category, null)
+  });
 
   res.status(200).json({
     success: true,
     message: 'Category deleted successfully'
   });
 });
+
+// @desc    Upload category image (multipart field `image`), replacing the current one
+// @route   POST /api/categories/:id/image
+// @access  Private (categories:write)
+exports.uploadCategoryImage = asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.id);
+
+  if (!req.files || req.files.length === 0) {
+    const error = new Error('Please upload an image in the "image" field');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const asset = await storeImage(req.files[0].buffer, `categories/${category._id}`);
+  const before = category.toObject();
+  const previousAsset = category.imageAsset;
+
+  category.imageAsset = { ...asset, uploadedBy: req.user._id };
+  category.image = asset.mediumUrl;
+
+  try {
+    await category.save();
+  } catch (error) {
+    await deleteImages([asset]);
+    throw error;
+  }
+
+  await deleteImages([previousAsset]);
+
+  await recordAudit(req, {
+    action: 'category.image_upload',
+    targetType: 'Category',
+    targetId: category._id,
+    changes: diffChanges(before, category, { fields: ['image'] })
+  });
+
+  res.status(201).json({
+    success: true,
+    data: category
+  });
+});
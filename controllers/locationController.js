@@ -79,7 +79,7 @@ exports.getLatestLocationByOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  if (order.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (order.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('orders:read')) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to access this order location',
@@ -3,6 +3,9 @@ const PDFDocument = require('pdfkit');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const { recordAudit, diffChanges } = require('../utils/auditLog');
+const { paginate, sendPage } = require('../utils/pagination');
+const { markVerifiedReviews } = require('../utils/verifiedPurchase');
 
 // @desc    Create new order
 // @route   POST /api/orders/create
@@ -95,12 +98,26 @@ exports.createOrder = asyncHandler(async (req, res) => {
     });
   }
 
+  // Quantities reach stock updates, so anything but a positive whole number is rejected up front
+  const invalidItem = orderItems.find((item) => !item || !Number.isInteger(item.quantity) || item.quantity <= 0);
+  if (invalidItem) {
+    return res.status(400).json({
+      success: false,
+      message: 'Quantity must be a whole number of at least 1',
+      errors: ['Quantity must be a whole number of at least 1']
+    });
+  }
+
   // Build normalized products array for Order model
   const normalizedProducts = [];
+
+  // Lines whose stock is taken once every line has been checked
+  const stockLines = [];
   
   // Verify product availability and stock
   for (const item of orderItems) {
     const productId = item.product || item.productId;
+    const variantId = item.variantId || item.variant;
     
     // Try to find product in database
     let product = null;
@@ -122,7 +139,17 @@ exports.createOrder = asyncHandler(async (req, res) => {
       continue;
     }
 
-    if (product.stock < item.quantity) {
+    const option = product.getPurchaseOption(variantId);
+
+    if (!option) {
+      return res.status(400).json({
+        success: false,
+        message: `Please select a valid variant for ${product.name}`,
+        errors: [`Please select a valid variant for ${product.name}`]
+      });
+    }
+
+    if (option.stock < item.quantity) {
       return res.status(400).json({
         success: false,
         message: `Insufficient stock for ${product.name}`,
@@ -130,28 +157,70 @@ exports.createOrder = asyncHandler(async (req, res) => {
       });
     }
 
-    // Add to normalized products with all required fields
+    // Add to normalized products with all required fields (price always comes from the catalog)
     normalizedProducts.push({
       productId: product._id,
+      variantId: option.variant ? option.variant._id : undefined,
+      sku: option.variant ? option.variant.sku : undefined,
+      variantName: option.variant ? option.variant.name : undefined,
+      unit: option.unit,
       name: product.name,
       quantity: item.quantity,
-      price: item.price || product.price,
+      price: option.price,
       image: product.image
     });
 
-    // Update product stock
-    product.stock -= item.quantity;
-    await product.save();
+    stockLines.push({ product, variantId: option.variant ? option.variant._id : null, quantity: item.quantity });
   }
 
-  const order = await Order.create({
-    userId: req.user._id,
-    products: normalizedProducts,
-    totalAmount,
-    address: normalizedAddress,
-    paymentMethod: paymentMethod || 'card',
-    status: 'pending'
-  });
+  // Take stock atomically; give back what was taken if a line ran out meanwhile
+  const takenLines = [];
+
+  for (const line of stockLines) {
+    const taken = await Product.decrementStock(line.product._id, line.variantId, line.quantity);
+
+    if (!taken) {
+      for (const takenLine of takenLines) {
+        await Product.restoreStock(takenLine.product._id, takenLine.variantId, takenLine.quantity);
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock for ${line.product.name}`,
+        errors: [`Insufficient stock for ${line.product.name}`]
+      });
+    }
+
+    takenLines.push(line);
+  }
+
+  // The total is charged and invoiced, so it comes from the line prices, not the client
+  const orderTotal = Math.round(
+    normalizedProducts.reduce((sum, line) => sum + line.price * line.quantity, 0) * 100
+  ) / 100;
+
+  if (orderTotal !== Number(totalAmount)) {
+    console.log(`⚠️  Client total ${totalAmount} differs from the catalog total ${orderTotal}, using the catalog total`);
+  }
+
+  let order;
+
+  try {
+    order = await Order.create({
+      userId: req.user._id,
+      products: normalizedProducts,
+      totalAmount: orderTotal,
+      address: normalizedAddress,
+      paymentMethod: paymentMethod || 'card',
+      status: 'pending'
+    });
+  } catch (error) {
+    // The order was not stored, give its stock back
+    for (const takenLine of takenLines) {
+      await Product.restoreStock(takenLine.product._id, takenLine.variantId, takenLine.quantity);
+    }
+    throw error;
+  }
 
   // Clear user's cart after order is placed
   await Cart.findOneAndUpdate(
@@ -184,8 +253,8 @@ exports.getOrderById = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Make sure user can only see their own orders (unless admin)
-  if (order.userId._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Make sure user can only see their own orders (unless staff with orders:read)
+  if (order.userId._id.toString() !== req.user._id.toString() && !req.user.hasPermission('orders:read')) {
     const error = new Error('Not authorized to view this order');
     error.statusCode = 403;
     throw error;
@@ -243,6 +312,7 @@ exports.updateOrderToDelivered = asyncHandler(async (req, res) => {
   order.status = 'delivered';
 
   const updatedOrder = await order.save();
+  await markVerifiedReviews(updatedOrder);
 
   res.status(200).json({
     success: true,
@@ -254,19 +324,14 @@ exports.updateOrderToDelivered = asyncHandler(async (req, res) => {
 // @route   GET /api/orders/my
 // @access  Private
 exports.getMyOrders = asyncHandler(async (req, res) => {
-  const orders = await Order.find({ userId: req.user._id })
-    .sort('-createdAt');
+  const page = await paginate(req, Order, { userId: req.user._id }, { sort: { createdAt: -1 } });
 
-  res.status(200).json({
-    success: true,
-    count: orders.length,
-    data: orders
-  });
+  sendPage(req, res, page);
 });
 
 // @desc    Get all orders
 // @route   GET /api/orders
-// @access  Private/Admin
+// @access  Private (orders:read)
 exports.getOrders = asyncHandler(async (req, res) => {
   const { status } = req.query;
   
@@ -275,21 +340,19 @@ exports.getOrders = asyncHandler(async (req, res) => {
     query.status = status;
   }
 
-  const orders = await Order.find(query)
-    .populate('userId', 'name email')
-    .populate('products.productId', 'name image')
-    .sort('-createdAt');
-
-  res.status(200).json({
-    success: true,
-    count: orders.length,
-    data: orders
+  const page = await paginate(req, Order, query, {
+    sort: { createdAt: -1 },
+    build: (orders) => orders
+      .populate('userId', 'name email')
+      .populate('products.productId', 'name image')
   });
+
+  sendPage(req, res, page);
 });
 
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
-// @access  Private/Admin
+// @access  Private (orders:update_status)
 exports.updateOrderStatus = asyncHandler(async (req, res) => {
   const { status } = req.body;
 
@@ -314,6 +377,8 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  const before = order.toObject();
+
   order.status = status;
 
   // Update delivery status
@@ -324,6 +389,17 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
 
   const updatedOrder = await order.save();
 
+  if (status === 'delivered') {
+    await markVerifiedReviews(updatedOrder);
+  }
+
+  await recordAudit(req, {
+    action: 'order.status_update',
+    targetType: 'Order',
+    targetId: order._id,
+    changes: diffChanges(before, updatedOrder, { fields: ['status', 'isDelivered', 'deliveredAt'] })
+  });
+
   res.status(200).json({
     success: true,
     message: 'Order status updated successfully',
@@ -345,8 +421,8 @@ exports.trackOrder = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Make sure user can only track their own orders (unless admin)
-  if (order.userId._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Make sure user can only track their own orders (unless staff with orders:read)
+  if (order.userId._id.toString() !== req.user._id.toString() && !req.user.hasPermission('orders:read')) {
     const error = new Error('Not authorized to track this order');
     error.statusCode = 403;
     throw error;
@@ -391,8 +467,8 @@ exports.generateInvoice = asyncHandler(async (req, res) => {
     return res.status(404).json({ success: false, message: 'Order not found' });
   }
 
-  // Make sure user can only access their own invoice (unless admin)
-  if (order.userId._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Make sure user can only access their own invoice (unless staff with orders:read)
+  if (order.userId._id.toString() !== req.user._id.toString() && !req.user.hasPermission('orders:read')) {
     return res.status(403).json({ success: false, message: 'Not authorized to access this invoice' });
   }
 
@@ -534,7 +610,10 @@ exports.generateInvoice = asyncHandler(async (req, res) => {
       }
 
       const itemTotal = (item.price || 0) * (item.quantity || 0);
-      doc.text(item.name || 'Product', 50, currentY, { width: 220 });
+      const description = item.variantName
+        ? `${item.name || 'Product'} - ${item.variantName}${item.sku ? ` (SKU ${item.sku})` : ''}`
+        : item.name || 'Product';
+      doc.text(description, 50, currentY, { width: 220, height: 16, ellipsis: true });
       doc.text(`$${(item.price || 0).toFixed(2)}`, 280, currentY, { width: 70, align: 'right' });
       doc.text((item.quantity || 1).toString(), 360, currentY, { width: 50, align: 'right' });
       doc.text(`$${itemTotal.toFixed(2)}`, 420, currentY, { width: 80, align: 'right' });
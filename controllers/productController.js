@@ -1,27 +1,114 @@
 const asyncHandler = require('express-async-handler');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const ReviewVote = require('../models/ReviewVote');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const AnswerVote = require('../models/AnswerVote');
 const { fetchExternalProducts, combineResults } = require('../utils/searchService');
+const { recordAudit, diffChanges } = require('../utils/auditLog');
+const { storeImage, deleteImages } = require('../utils/imageService');
+const {
+  buildSearchFilter,
+  buildSubstringFilter,
+  getSuggestions,
+  clearSearchIndex
+} = require('../utils/productSearch');
+const {
+  buildFacetFilters,
+  combineFilters,
+  buildFacetPipelines,
+  getComputedFieldsStage,
+  formatFacets
+} = require('../utils/productFilters');
+const { getPageRequest, getCursorFilter, getQuerySort, getSkip, buildPage, sendPage } = require('../utils/pagination');
+
+const MAX_PRODUCT_IMAGES = 10;
+
+// Helper function to match a category (ID, slug or name) and all of its subcategories
+const getCategoryFilter = async (identifier) => {
+  const category = await Category.resolve(identifier);
+
+  // Unknown categories match nothing
+  return { $in: category ? await Category.getSubtreeIds(category._id) : [] };
+};
+
+// Helper function to accept a category ID, slug or name in product data
+const withCategoryId = async (data) => {
+  if (data.category === undefined) {
+    return data;
+  }
+
+  const category = await Category.resolve(data.category);
+
+  if (!category) {
+    const error = new Error('Category not found');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { ...data, category: category._id };
+};
+
+// Helper function to add a search to a product query
+// Uses the weighted text index; whole-word text search misses partial words ("milk" in "buttermilk"),
+// so when it finds nothing the query falls back to a substring match
+const applySearch = async (query, search, substringFields) => {
+  const { filter, correctedQuery } = await buildSearchFilter(search);
+
+  if (filter.$text.$search && await Product.exists({ ...query, ...filter })) {
+    Object.assign(query, filter);
+    return { textSearch: true, correctedQuery };
+  }
+
+  Object.assign(query, buildSubstringFilter(search, substringFields));
+  return { textSearch: false, correctedQuery: null };
+};
+
+// Helper function to delete the reviews, questions and answers of a product with their votes
+const deleteProductFeedback = async (productId) => {
+  const [reviewIds, answerIds] = await Promise.all([
+    Review.distinct('_id', { product: productId }),
+    Answer.distinct('_id', { product: productId })
+  ]);
+
+  await Promise.all([
+    ReviewVote.deleteMany({ review: { $in: reviewIds } }),
+    AnswerVote.deleteMany({ answer: { $in: answerIds } }),
+    Review.deleteMany({ product: productId }),
+    Answer.deleteMany({ product: productId }),
+    Question.deleteMany({ product: productId })
+  ]);
+};
+
+// Helper function to delete uploaded image files that no order still shows
+// (order lines keep a copy of the product image URL)
+const deleteUnusedImages = async (productId, assets) => {
+  if (assets.length === 0) {
+    return;
+  }
+
+  const orderedUrls = await Order.distinct('products.image', { 'products.productId': productId });
+  await deleteImages(assets.filter((asset) => !orderedUrls.includes(asset.mediumUrl)));
+};
 
 // @desc    Get all products
 // @route   GET /api/products
 // @access  Public
 exports.getProducts = asyncHandler(async (req, res) => {
-  const { category, search, minPrice, maxPrice, sort, page, limit } = req.query;
+  const { minPrice, maxPrice, sort } = req.query;
+  // Repeated parameters arrive as arrays
+  const search = String(req.query.search || '').trim();
 
+  // Search and price narrow the listing itself, the other filters are facets
   let query = {};
 
-  // Filter by category
-  if (category && category !== 'All') {
-    query.category = category;
-  }
-
-  // Search by name or description
+  // Search by name, tags or description
+  let searchResult = { textSearch: false, correctedQuery: null };
   if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } },
-      { tags: { $regex: search, $options: 'i' } }
-    ];
+    searchResult = await applySearch(query, search, ['name', 'description', 'tags']);
   }
 
   // Filter by price range
@@ -31,36 +118,75 @@ exports.getProducts = asyncHandler(async (req, res) => {
     if (maxPrice) query.price.$lte = Number(maxPrice);
   }
 
-  // Sorting
+  // Category (with subcategories), tags, isOrganic, inStock, minRating, unit, minDiscount
+  const facetFilters = await buildFacetFilters(req.query);
+
+  // Sorting (searches are ranked by relevance unless another order is asked for)
   let sortOption = {};
+  if (searchResult.textSearch && (!sort || sort === 'relevance')) sortOption.score = -1;
   if (sort === 'price-asc') sortOption.price = 1;
   if (sort === 'price-desc') sortOption.price = -1;
   if (sort === 'rating') sortOption.rating = -1;
+  if (sort === 'discount') sortOption.discountPercent = -1;
   if (sort === 'newest') sortOption.createdAt = -1;
   else sortOption.createdAt = -1; // default sort by newest
 
-  // Pagination
-  const pageNumber = parseInt(page, 10) || 1;
-  const pageSize = parseInt(limit, 10) || 12;
-  const skip = (pageNumber - 1) * pageSize;
+  // Cursor (or page) over the sort order; score and discountPercent are kept until the cursors are built
+  const pageRequest = getPageRequest(req.query, sortOption, { defaultLimit: 12 });
+
+  const matchAll = combineFilters(facetFilters);
+
+  // Results, total and facet counts in one aggregation
+  const [result] = await Product.aggregate([
+    { $match: query },
+    ...(searchResult.textSearch ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    getComputedFieldsStage(),
+    {
+      $facet: {
+        data: [
+          { $match: matchAll },
+          { $match: getCursorFilter(pageRequest) },
+          { $sort: getQuerySort(pageRequest) },
+          { $skip: getSkip(pageRequest) },
+          { $limit: pageRequest.limit + 1 }
+        ],
+        ...(pageRequest.withTotal && { total: [{ $match: matchAll }, { $count: 'count' }] }),
+        ...buildFacetPipelines(facetFilters)
+      }
+    }
+  ]);
 
-  // Get total count for pagination
-  const totalProducts = await Product.countDocuments(query);
+  const total = pageRequest.withTotal ? (result.total.length > 0 ? result.total[0].count : 0) : null;
+  const page = buildPage(result.data, pageRequest, total);
 
-  // Fetch products with pagination
-  const products = await Product.find(query)
-    .sort(sortOption)
-    .skip(skip)
-    .limit(pageSize)
-    .populate('createdBy', 'name email');
+  page.data = await Product.populate(page.data.map(({ score, available, ...product }) => product), [
+    { path: 'category', select: 'name slug' },
+    { path: 'createdBy', select: 'name email' }
+  ]);
+
+  sendPage(req, res, page, {
+    correctedQuery: searchResult.correctedQuery || undefined,
+    facets: await formatFacets(result)
+  });
+});
+
+// @desc    Suggest products and search terms while the user types
+// @route   GET /api/products/autocomplete?q=
+// @access  Public
+exports.autocompleteProducts = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || '').trim().slice(0, 100);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 8, 20);
+
+  const suggestions = q ? await getSuggestions(q, limit) : { products: [], terms: [], correctedQuery: null };
 
   res.status(200).json({
     success: true,
-    count: products.length,
-    total: totalProducts,
-    page: pageNumber,
-    pages: Math.ceil(totalProducts / pageSize),
-    data: products
+    query: q,
+    correctedQuery: suggestions.correctedQuery || undefined,
+    data: {
+      products: suggestions.products,
+      terms: suggestions.terms
+    }
   });
 });
 
@@ -69,8 +195,8 @@ exports.getProducts = asyncHandler(async (req, res) => {
 // @access  Public
 exports.getProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id)
-    .populate('createdBy', 'name email')
-    .populate('reviews.user', 'name');
+    .populate('category', 'name slug ancestors')
+    .populate('createdBy', 'name email');
 
   if (!product) {
     const error = new Error('Product not found');
@@ -78,23 +204,43 @@ exports.getProduct = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  // Q&A summary; the questions themselves are on GET /api/products/:id/questions
+  const [total, answered] = await Promise.all([
+    Question.countDocuments({ product: product._id, status: 'approved' }),
+    Question.countDocuments({ product: product._id, status: 'approved', answerCount: { $gt: 0 } })
+  ]);
+
   res.status(200).json({
     success: true,
-    data: product
+    data: {
+      ...product.toObject(),
+      questions: { total, answered }
+    }
   });
 });
 
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private/Admin
+// @access  Private (products:write)
 exports.createProduct = asyncHandler(async (req, res) => {
-  // Add the admin user as createdBy
+  // Add the admin user as createdBy (API key integrations have no user)
+  // Uploaded images are only managed through the image endpoints
+  const { media, ...body } = req.body;
+
   const productData = {
-    ...req.body,
-    createdBy: req.user._id
+    ...(await withCategoryId(body)),
+    createdBy: req.user ? req.user._id : undefined
   };
 
   const product = await Product.create(productData);
+  clearSearchIndex();
+
+  await recordAudit(req, {
+    action: 'product.create',
+    targetType: 'Product',
+    targetId: product._id,
+    changes: diffChanges(null, product)
+  });
 
   res.status(201).json({
     success: true,
@@ -104,9 +250,9 @@ exports.createProduct = asyncHandler(async (req, res) => {
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private/Admin
+// @access  Private (products:write)
 exports.updateProduct = asyncHandler(async (req, res) => {
-  let product = await Product.findById(req.params.id);
+  const product = await Product.findById(req.params.id);
 
   if (!product) {
     const error = new Error('Product not found');
@@ -114,9 +260,19 @@ exports.updateProduct = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
+  const before = product.toObject();
+  const { media, ...updates } = req.body;
+
+  // save() (not findByIdAndUpdate) so price and stock are re-derived from variants
+  product.set(await withCategoryId(updates));
+  await product.save();
+  clearSearchIndex();
+
+  await recordAudit(req, {
+    action: 'product.update',
+    targetType: 'Product',
+    targetId: product._id,
+    changes: diffChanges(before, product)
   });
 
   res.status(200).json({
@@ -127,7 +283,7 @@ exports.updateProduct = asyncHandler(async (req, res) => {
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private/Admin
+// @access  Private (products:write)
 exports.deleteProduct = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
 
@@ -138,6 +294,16 @@ exports.deleteProduct = asyncHandler(async (req, res) => {
   }
 
   await product.deleteOne();
+  clearSearchIndex();
+  await deleteProductFeedback(product._id);
+  await deleteUnusedImages(product._id, product.media);
+
+  await recordAudit(req, {
+    action: 'product.delete',
+    targetType: 'Product',
+    targetId: product._id,
+    changes: diffChanges(product, null, { omit: ['media'] })
+  });
 
   res.status(200).json({
     success: true,
@@ -145,11 +311,10 @@ exports.deleteProduct = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Create product review
-// @route   POST /api/products/:id/reviews
-// @access  Private
-exports.createReview = asyncHandler(async (req, res) => {
-  const { rating, comment } = req.body;
+// @desc    Upload product images (multipart field `images`)
+// @route   POST /api/products/:id/images?primary=true
+// @access  Private (products:write)
+exports.uploadProductImages = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
 
   if (!product) {
@@ -158,35 +323,110 @@ exports.createReview = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  // Check if user already reviewed
-  const alreadyReviewed = product.reviews.find(
-    (r) => r.user.toString() === req.user._id.toString()
-  );
+  if (!req.files || req.files.length === 0) {
+    const error = new Error('Please upload at least one image in the "images" field');
+    error.statusCode = 400;
+    throw error;
+  }
 
-  if (alreadyReviewed) {
-    const error = new Error('Product already reviewed');
+  if (product.media.length + req.files.length > MAX_PRODUCT_IMAGES) {
+    const error = new Error(`A product can have at most ${MAX_PRODUCT_IMAGES} uploaded images`);
     error.statusCode = 400;
     throw error;
   }
 
-  const review = {
-    name: req.user.name,
-    rating: Number(rating),
-    comment,
-    user: req.user._id
-  };
+  const assets = [];
+
+  try {
+    for (const file of req.files) {
+      assets.push(await storeImage(file.buffer, `products/${product._id}`));
+    }
+  } catch (error) {
+    await deleteImages(assets);
+    throw error;
+  }
 
-  product.reviews.push(review);
-  product.numReviews = product.reviews.length;
-  product.rating =
-    product.reviews.reduce((acc, item) => item.rating + acc, 0) /
-    product.reviews.length;
+  const before = product.toObject();
+  const hasUploadedPrimary = product.media.some((asset) => asset.mediumUrl === product.image);
 
-  await product.save();
+  assets.forEach((asset) => {
+    product.media.push({ ...asset, uploadedBy: req.user._id });
+    product.images.push(asset.url);
+  });
+
+  // The first upload replaces an external image URL
+  if (req.query.primary === 'true' || !hasUploadedPrimary) {
+    product.image = assets[0].mediumUrl;
+  }
+
+  try {
+    await product.save();
+  } catch (error) {
+    await deleteImages(assets);
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: 'product.image_upload',
+    targetType: 'Product',
+    targetId: product._id,
+    changes: diffChanges(before, product, { fields: ['image', 'images'] })
+  });
 
   res.status(201).json({
     success: true,
-    message: 'Review added successfully'
+    data: product
+  });
+});
+
+// @desc    Delete an uploaded product image and its files
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private (products:write)
+exports.deleteProductImage = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const asset = product.media.id(req.params.imageId);
+
+  if (!asset) {
+    const error = new Error('Image not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const before = product.toObject();
+
+  product.media.pull(asset._id);
+  product.images = product.images.filter((url) => url !== asset.url);
+
+  if (product.image === asset.mediumUrl) {
+    if (product.media.length === 0) {
+      const error = new Error('This is the main product image, upload a replacement before deleting it');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    product.image = product.media[0].mediumUrl;
+  }
+
+  await product.save();
+  await deleteUnusedImages(product._id, [asset]);
+
+  await recordAudit(req, {
+    action: 'product.image_delete',
+    targetType: 'Product',
+    targetId: product._id,
+    changes: diffChanges(before, product, { fields: ['image', 'images'] })
+  });
+
+  res.status(200).json({
+    success: true,
+    data: product
   });
 });
 
@@ -194,10 +434,11 @@ exports.createReview = asyncHandler(async (req, res) => {
 // @route   GET /api/products/search
 // @access  Public
 exports.searchProducts = asyncHandler(async (req, res) => {
-  const { q, category, limit = 10, includeExternal = true } = req.query;
+  const { category, limit = 10, includeExternal = true } = req.query;
+  const q = String(req.query.q || '');
 
   // Validate search query
-  if (!q || q.trim().length < 2) {
+  if (q.trim().length < 2) {
     return res.status(400).json({
       success: false,
       message: 'Search query must be at least 2 characters'
@@ -209,23 +450,22 @@ exports.searchProducts = asyncHandler(async (req, res) => {
 
   try {
     // 🔍 Search in local database
-    const localQuery = {
-      $or: [
-        { name: { $regex: searchTerm, $options: 'i' } },
-        { description: { $regex: searchTerm, $options: 'i' } },
-        { tags: { $regex: searchTerm, $options: 'i' } },
-        { benefits: { $regex: searchTerm, $options: 'i' } }
-      ]
-    };
-
-    // Add category filter if specified
+    const localQuery = {};
+
+    // Add category filter if specified (includes subcategories)
     if (category && category !== 'All') {
-      localQuery.category = category;
+      localQuery.category = await getCategoryFilter(category);
     }
 
+    const { textSearch, correctedQuery } = await applySearch(
+      localQuery,
+      searchTerm,
+      ['name', 'description', 'tags', 'benefits']
+    );
+
     const localProducts = await Product.find(localQuery)
       .limit(pageLimit)
-      .sort({ rating: -1, createdAt: -1 })
+      .sort(textSearch ? { score: { $meta: 'textScore' }, rating: -1 } : { rating: -1, createdAt: -1 })
       .populate('createdBy', 'name email');
 
     console.log(`✅ Found ${localProducts.length} local products for: "${searchTerm}"`);
@@ -234,7 +474,7 @@ exports.searchProducts = asyncHandler(async (req, res) => {
 
     // 🌐 If no local products found or includeExternal is true, fetch from external API
     if (includeExternal === 'true' && localProducts.length < pageLimit) {
-      externalProducts = await fetchExternalProducts(searchTerm);
+      externalProducts = await fetchExternalProducts(correctedQuery || searchTerm);
       console.log(`✅ Found ${externalProducts.length} external products for: "${searchTerm}"`);
     }
 
@@ -245,6 +485,7 @@ exports.searchProducts = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       query: searchTerm,
+      correctedQuery: correctedQuery || undefined,
       totalResults: combinedResults.total,
       localCount: combinedResults.local.count,
       externalCount: combinedResults.external.count,
@@ -0,0 +1,205 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { validateProduct } = require('../utils/validation');
+const { recordAudit, diffChanges } = require('../utils/auditLog');
+const {
+  readProductSheet,
+  rowToProduct,
+  productToRow,
+  writeProductSheet
+} = require('../utils/productSheet');
+const { clearSearchIndex } = require('../utils/productSearch');
+
+const getMaxImportRows = () => Number(process.env.IMPORT_MAX_ROWS) || 5000;
+
+// Upper bound for a single export
+const MAX_EXPORT_ROWS = 20000;
+
+// Helper function to keep variant IDs (referenced by carts and orders) when variants are re-imported
+const mergeVariantIds = (product, variants) => {
+  if (!Array.isArray(variants)) {
+    return variants;
+  }
+
+  return variants.map((variant) => {
+    const sku = variant && variant.sku ? String(variant.sku).trim().toUpperCase() : null;
+    const existing = sku && product.variants.find((current) => current.sku === sku);
+    return existing ? { ...variant, _id: existing._id } : variant;
+  });
+};
+
+// Helper function to turn save errors into row errors
+const getSaveErrors = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map((value) => value.message);
+  }
+
+  if (error.code === 11000) {
+    return ['SKU is already used by another product or variant'];
+  }
+
+  throw error;
+};
+
+// Helper function to find the product a row updates: by `_id` when filled in, otherwise by SKU
+const findExisting = async (id, sku, errors) => {
+  if (id) {
+    const product = mongoose.isValidObjectId(id) ? await Product.findById(id) : null;
+    if (!product) {
+      errors.push(`Product not found: ${id}`);
+    }
+    return product;
+  }
+
+  return sku ? Product.findOne({ sku }) : null;
+};
+
+// @desc    Import products from CSV/XLSX (upsert by _id or SKU, ?dryRun=true to only validate)
+// @route   POST /api/admin/products/import
+// @access  Private (products:write)
+exports.importProducts = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    const error = new Error('Please upload a .csv or .xlsx file in the "file" field');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const dryRun = ['true', '1'].includes(String(req.query.dryRun || req.body.dryRun));
+  const rows = await readProductSheet(req.file);
+
+  if (rows.length > getMaxImportRows()) {
+    const error = new Error(`Too many rows, the limit is ${getMaxImportRows()} per file`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const summary = { total: rows.length, created: 0, updated: 0, failed: 0 };
+  const results = [];
+  const seenSkus = new Set();
+  const seenIds = new Set();
+
+  for (const { row, values } of rows) {
+    const { data, errors } = rowToProduct(values);
+    const { _id: id, ...fields } = data;
+    const sku = fields.sku ? fields.sku.toUpperCase() : '';
+    delete fields.sku;
+
+    if (!sku && !id) {
+      errors.push('SKU is required');
+    } else if (sku && seenSkus.has(sku)) {
+      errors.push('Duplicate SKU in file');
+    } else if (id && seenIds.has(id)) {
+      errors.push('Duplicate _id in file');
+    }
+    seenSkus.add(sku);
+    seenIds.add(id);
+
+    const existing = await findExisting(id, sku, errors);
+
+    // Rows for new products must be complete, updates only need the changed columns
+    const validation = validateProduct(existing ? { ...existing.toObject(), ...fields } : fields);
+    errors.push(...validation.errors);
+
+    if (fields.category) {
+      const category = await Category.resolve(fields.category);
+      if (category) {
+        fields.category = category._id;
+      } else {
+        errors.push(`Category not found: ${fields.category}`);
+      }
+    }
+
+    let product;
+    let before;
+
+    if (errors.length === 0) {
+      product = existing || new Product({ createdBy: req.user ? req.user._id : undefined });
+      before = existing ? existing.toObject() : null;
+
+      // A blank SKU keeps the current one (products matched by _id may not have a SKU yet)
+      const update = { ...fields, ...(sku && { sku }) };
+      if (fields.variants !== undefined) {
+        update.variants = mergeVariantIds(product, fields.variants);
+      }
+      product.set(update);
+
+      try {
+        if (dryRun) {
+          await product.validate();
+        } else {
+          await product.save();
+        }
+      } catch (error) {
+        errors.push(...getSaveErrors(error));
+      }
+    }
+
+    if (errors.length > 0) {
+      summary.failed++;
+      results.push({ row, sku, productId: id, status: 'failed', errors });
+      continue;
+    }
+
+    const action = existing ? 'update' : 'create';
+    summary[existing ? 'updated' : 'created']++;
+    results.push({ row, sku, status: action, productId: dryRun && !existing ? undefined : product._id });
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: `product.${action}`,
+        targetType: 'Product',
+        targetId: product._id,
+        changes: diffChanges(before, product),
+        metadata: { source: 'import', file: req.file.originalname, row }
+      });
+    }
+  }
+
+  if (!dryRun && summary.created + summary.updated > 0) {
+    clearSearchIndex();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: dryRun
+      ? `Dry run: ${summary.created} to create, ${summary.updated} to update, ${summary.failed} invalid`
+      : `Imported ${summary.created + summary.updated} of ${summary.total} rows`,
+    dryRun,
+    data: { summary, rows: results }
+  });
+});
+
+// @desc    Export products as CSV/XLSX in the import format
+// @route   GET /api/admin/products/export?format=xlsx&category=dairy
+// @access  Private (products:write)
+exports.exportProducts = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!['csv', 'xlsx'].includes(format)) {
+    const error = new Error('Format must be csv or xlsx');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const query = {};
+
+  if (req.query.category) {
+    const category = await Category.resolve(req.query.category);
+    query.category = { $in: category ? await Category.getSubtreeIds(category._id) : [] };
+  }
+
+  const products = await Product.find(query)
+    .populate('category', 'slug')
+    .sort('sku name')
+    .limit(MAX_EXPORT_ROWS)
+    .lean();
+
+  const { body, contentType } = await writeProductSheet(products.map(productToRow), format);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=products-${date}.${format}`);
+  res.status(200).send(body);
+});
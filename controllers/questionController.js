@@ -0,0 +1,435 @@
+const asyncHandler = require('express-async-handler');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const AnswerVote = require('../models/AnswerVote');
+const Product = require('../models/Product');
+const { recordAudit, diffChanges } = require('../utils/auditLog');
+const { paginate, sendPage } = require('../utils/pagination');
+const { screenText, isPostingTooOften, getReviewStatus } = require('../utils/reviewModeration');
+const { hasReceivedProduct } = require('../utils/verifiedPurchase');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Moderation details are only shown to moderators
+const PUBLIC_FIELDS = '-flags -moderatedBy -moderatedAt -moderationNote';
+const PUBLIC_PROJECTION = { flags: 0, moderatedBy: 0, moderatedAt: 0, moderationNote: 0 };
+
+// Answers listed with each question; the rest are on GET /api/questions/:id/answers
+const ANSWERS_PER_QUESTION = 3;
+
+// `sort` values of the product question list
+const QUESTION_SORTS = {
+  recent: { createdAt: -1 },
+  'most-answered': { answerCount: -1, createdAt: -1 }
+};
+
+// Most upvoted first, then oldest
+const ANSWER_SORT = { upvoteCount: -1, createdAt: 1 };
+
+const requiresQuestionApproval = () => process.env.QUESTION_REQUIRE_APPROVAL === 'true';
+
+// Helper function to load a document or fail with 404
+const findOrFail = async (Model, id, message) => {
+  const doc = await Model.findById(id);
+
+  if (!doc) {
+    const error = new Error(message);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return doc;
+};
+
+// Helper function to load a question or answer that is visible to everyone
+const findApproved = async (Model, id, message) => {
+  const doc = await findOrFail(Model, id, message);
+
+  if (doc.status !== 'approved') {
+    const error = new Error(message);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return doc;
+};
+
+// Helper function to read the `text` field of a question or answer
+const getText = (body, message) => {
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+
+  if (!text) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return text;
+};
+
+// Helper function to check that the user wrote the content or may manage Q&A
+const checkCanDelete = (req, doc, message) => {
+  const isAuthor = doc.user.equals(req.user._id);
+
+  if (!isAuthor && !req.user.hasPermission('questions:manage')) {
+    const error = new Error(message);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return isAuthor;
+};
+
+// Helper function to list questions or answers by moderation status, oldest first
+const sendQueue = async (req, res, Model, populate) => {
+  const { status = 'pending', product } = req.query;
+
+  if (!MODERATION_STATUSES.includes(status)) {
+    const error = new Error(`Status must be one of: ${MODERATION_STATUSES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const query = { status };
+  if (product) {
+    query.product = product;
+  }
+
+  const page = await paginate(req, Model, query, {
+    sort: { createdAt: 1 },
+    build: (items) => populate(items)
+      .populate('user', 'name email')
+      .populate('moderatedBy', 'name email')
+  });
+
+  sendPage(req, res, page);
+};
+
+// Helper function to approve or reject a question or answer
+const applyModeration = async (req, doc, targetType) => {
+  const { status, note } = req.body;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    const error = new Error('Status must be approved or rejected');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const before = doc.toObject();
+
+  doc.status = status;
+  doc.moderationNote = note;
+  doc.moderatedBy = req.user._id;
+  doc.moderatedAt = Date.now();
+  await doc.save();
+
+  await recordAudit(req, {
+    action: `${targetType.toLowerCase()}.moderate`,
+    targetType,
+    targetId: doc._id,
+    changes: diffChanges(before, doc, { fields: ['status', 'moderationNote'] })
+  });
+};
+
+// Helper function to delete answers and their upvotes
+const deleteAnswers = async (filter) => {
+  const answerIds = await Answer.distinct('_id', filter);
+  await AnswerVote.deleteMany({ answer: { $in: answerIds } });
+  await Answer.deleteMany({ _id: { $in: answerIds } });
+};
+
+// @desc    Get approved questions of a product, each with its top answers
+// @route   GET /api/products/:id/questions?sort=recent|most-answered
+// @access  Public
+exports.getProductQuestions = asyncHandler(async (req, res) => {
+  const { sort = 'recent' } = req.query;
+
+  if (!QUESTION_SORTS[sort]) {
+    const error = new Error(`Sort must be one of: ${Object.keys(QUESTION_SORTS).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const product = await findOrFail(Product, req.params.id, 'Product not found');
+
+  const page = await paginate(req, Question, { product: product._id, status: 'approved' }, {
+    sort: QUESTION_SORTS[sort],
+    defaultLimit: 10,
+    maxLimit: 50,
+    build: (questions) => questions.select(PUBLIC_FIELDS)
+  });
+
+  // Top answers of each question, limited per question in the database
+  const topAnswers = await Question.aggregate([
+    { $match: { _id: { $in: page.data.map((question) => question._id) } } },
+    {
+      $lookup: {
+        from: Answer.collection.name,
+        let: { questionId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$question', '$$questionId'] }, status: 'approved' } },
+          { $sort: ANSWER_SORT },
+          { $limit: ANSWERS_PER_QUESTION },
+          { $project: PUBLIC_PROJECTION }
+        ],
+        as: 'answers'
+      }
+    },
+    { $project: { answers: 1 } }
+  ]);
+
+  const answersByQuestion = new Map(topAnswers.map((question) => [String(question._id), question.answers]));
+
+  page.data = page.data.map((question) => ({
+    ...question.toObject(),
+    answers: answersByQuestion.get(String(question._id)) || []
+  }));
+
+  sendPage(req, res, page);
+});
+
+// @desc    Ask a question about a product
+// @route   POST /api/products/:id/questions
+// @access  Private
+exports.createQuestion = asyncHandler(async (req, res) => {
+  const product = await findOrFail(Product, req.params.id, 'Product not found');
+  const text = getText(req.body, 'Please write a question');
+
+  const flags = screenText(text);
+  if (await Question.exists({ product: product._id, user: req.user._id, text })) {
+    flags.push('duplicate');
+  }
+  if (await isPostingTooOften(Question, req.user._id)) {
+    flags.push('too_frequent');
+  }
+
+  const question = await Question.create({
+    product: product._id,
+    user: req.user._id,
+    name: req.user.name,
+    text,
+    flags,
+    status: getReviewStatus(flags, undefined, requiresQuestionApproval())
+  });
+
+  res.status(201).json({
+    success: true,
+    message: question.status === 'approved'
+      ? 'Question posted successfully'
+      : 'Question submitted and waiting for moderation',
+    data: question
+  });
+});
+
+// @desc    Delete question with its answers (author, or moderator)
+// @route   DELETE /api/questions/:id
+// @access  Private (author or questions:manage)
+exports.deleteQuestion = asyncHandler(async (req, res) => {
+  const question = await findOrFail(Question, req.params.id, 'Question not found');
+  const isAuthor = checkCanDelete(req, question, 'Not authorized to delete this question');
+
+  await question.deleteOne();
+  await deleteAnswers({ question: question._id });
+
+  if (!isAuthor) {
+    await recordAudit(req, {
+      action: 'question.delete',
+      targetType: 'Question',
+      targetId: question._id,
+      changes: diffChanges(question, null, { fields: ['product', 'user', 'text', 'status'] })
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Question deleted successfully'
+  });
+});
+
+// @desc    Get approved answers of a question
+// @route   GET /api/questions/:id/answers
+// @access  Public
+exports.getQuestionAnswers = asyncHandler(async (req, res) => {
+  const question = await findApproved(Question, req.params.id, 'Question not found');
+
+  const page = await paginate(req, Answer, { question: question._id, status: 'approved' }, {
+    sort: ANSWER_SORT,
+    defaultLimit: 10,
+    maxLimit: 50,
+    build: (answers) => answers.select(PUBLIC_FIELDS)
+  });
+
+  sendPage(req, res, page);
+});
+
+// @desc    Answer a question (staff or customers who received the product)
+// @route   POST /api/questions/:id/answers
+// @access  Private (questions:manage or verified buyer)
+exports.createAnswer = asyncHandler(async (req, res) => {
+  const question = await findApproved(Question, req.params.id, 'Question not found');
+  const text = getText(req.body, 'Please write an answer');
+
+  const isStaff = req.user.hasPermission('questions:manage');
+  const verifiedPurchase = await hasReceivedProduct(req.user._id, question.product);
+
+  if (!isStaff && !verifiedPurchase) {
+    const error = new Error('Only store staff and customers who received this product can answer');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const flags = screenText(text);
+  if (!isStaff && await isPostingTooOften(Answer, req.user._id)) {
+    flags.push('too_frequent');
+  }
+
+  const answer = await Answer.create({
+    question: question._id,
+    product: question.product,
+    user: req.user._id,
+    name: req.user.name,
+    text,
+    isStaff,
+    verifiedPurchase,
+    flags,
+    // Staff answers are published as written
+    status: isStaff ? 'approved' : getReviewStatus(flags, undefined, requiresQuestionApproval())
+  });
+
+  if (answer.status === 'approved') {
+    await Question.syncAnswerCount(question._id);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: answer.status === 'approved'
+      ? 'Answer posted successfully'
+      : 'Answer submitted and waiting for moderation',
+    data: answer
+  });
+});
+
+// @desc    Delete answer (author, or moderator)
+// @route   DELETE /api/questions/answers/:id
+// @access  Private (author or questions:manage)
+exports.deleteAnswer = asyncHandler(async (req, res) => {
+  const answer = await findOrFail(Answer, req.params.id, 'Answer not found');
+  const isAuthor = checkCanDelete(req, answer, 'Not authorized to delete this answer');
+
+  await deleteAnswers({ _id: answer._id });
+  await Question.syncAnswerCount(answer.question);
+
+  if (!isAuthor) {
+    await recordAudit(req, {
+      action: 'answer.delete',
+      targetType: 'Answer',
+      targetId: answer._id,
+      changes: diffChanges(answer, null, { fields: ['question', 'user', 'text', 'status'] })
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Answer deleted successfully'
+  });
+});
+
+// @desc    Upvote an answer (once per user)
+// @route   PUT /api/questions/answers/:id/upvote
+// @access  Private
+exports.upvoteAnswer = asyncHandler(async (req, res) => {
+  const answer = await findApproved(Answer, req.params.id, 'Answer not found');
+
+  if (answer.user.equals(req.user._id)) {
+    const error = new Error('You cannot upvote your own answer');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const previous = await AnswerVote.findOneAndUpdate(
+    { answer: answer._id, user: req.user._id },
+    { $setOnInsert: { answer: answer._id, user: req.user._id } },
+    { upsert: true, new: false }
+  );
+
+  const updated = previous ? answer : await Answer.adjustUpvoteCount(answer._id, 1);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      upvoted: true,
+      upvoteCount: updated.upvoteCount
+    }
+  });
+});
+
+// @desc    Remove own upvote from an answer
+// @route   DELETE /api/questions/answers/:id/upvote
+// @access  Private
+exports.removeAnswerUpvote = asyncHandler(async (req, res) => {
+  const answer = await findOrFail(Answer, req.params.id, 'Answer not found');
+  const vote = await AnswerVote.findOneAndDelete({ answer: answer._id, user: req.user._id });
+
+  if (!vote) {
+    const error = new Error('You have not upvoted this answer');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const updated = await Answer.adjustUpvoteCount(answer._id, -1);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      upvoted: false,
+      upvoteCount: updated.upvoteCount
+    }
+  });
+});
+
+// @desc    Get the question moderation queue (oldest first)
+// @route   GET /api/admin/questions?status=pending&product=
+// @access  Private (questions:manage)
+exports.getQuestionQueue = asyncHandler(async (req, res) => {
+  await sendQueue(req, res, Question, (questions) => questions.populate('product', 'name image'));
+});
+
+// @desc    Approve or reject a question
+// @route   PUT /api/admin/questions/:id/moderate
+// @access  Private (questions:manage)
+exports.moderateQuestion = asyncHandler(async (req, res) => {
+  const question = await findOrFail(Question, req.params.id, 'Question not found');
+
+  await applyModeration(req, question, 'Question');
+
+  res.status(200).json({
+    success: true,
+    message: `Question ${question.status}`,
+    data: question
+  });
+});
+
+// @desc    Get the answer moderation queue (oldest first)
+// @route   GET /api/admin/answers?status=pending&product=
+// @access  Private (questions:manage)
+exports.getAnswerQueue = asyncHandler(async (req, res) => {
+  await sendQueue(req, res, Answer, (answers) => answers
+    .populate('product', 'name image')
+    .populate('question', 'text'));
+});
+
+// @desc    Approve or reject an answer
+// @route   PUT /api/admin/answers/:id/moderate
+// @access  Private (questions:manage)
+exports.moderateAnswer = asyncHandler(async (req, res) => {
+  const answer = await findOrFail(Answer, req.params.id, 'Answer not found');
+
+  await applyModeration(req, answer, 'Answer');
+  await Question.syncAnswerCount(answer.question);
+
+  res.status(200).json({
+    success: true,
+    message: `Answer ${answer.status}`,
+    data: answer
+  });
+});
@@ -0,0 +1,387 @@
+const asyncHandler = require('express-async-handler');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const ReviewVote = require('../models/ReviewVote');
+const { recordAudit, diffChanges } = require('../utils/auditLog');
+const { paginate, sendPage } = require('../utils/pagination');
+const { screenReview, getReviewStatus } = require('../utils/reviewModeration');
+const { requiresPurchase, hasReceivedProduct } = require('../utils/verifiedPurchase');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// `sort` values of the public review list
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  'rating-desc': { rating: -1, createdAt: -1 },
+  'rating-asc': { rating: 1, createdAt: -1 }
+};
+
+// Moderation details are only shown to the author and moderators
+const PUBLIC_FIELDS = '-flags -moderatedBy -moderatedAt -moderationNote';
+
+// Helper function to load a review or fail with 404
+const findReview = async (id) => {
+  const review = await Review.findById(id);
+
+  if (!review) {
+    const error = new Error('Review not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return review;
+};
+
+// Helper function to read rating and comment from the request body
+const getReviewInput = (body, review = {}) => {
+  const rating = body.rating !== undefined ? Number(body.rating) : review.rating;
+  const comment = body.comment !== undefined ? String(body.comment).trim() : review.comment;
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    const error = new Error('Rating must be a whole number from 1 to 5');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!comment) {
+    const error = new Error('Please add a comment');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { rating, comment };
+};
+
+// Helper function to store a user's vote and return the count changes it causes (null if none)
+// Every write is conditional on the stored vote, so parallel requests cannot count a vote twice
+const saveVote = async (reviewId, userId, isHelpful) => {
+  const field = isHelpful ? 'helpfulCount' : 'unhelpfulCount';
+  const otherField = isHelpful ? 'unhelpfulCount' : 'helpfulCount';
+
+  const previous = await ReviewVote.findOneAndUpdate(
+    { review: reviewId, user: userId },
+    { $setOnInsert: { helpful: isHelpful } },
+    { upsert: true, new: false }
+  );
+
+  if (!previous) {
+    return { [field]: 1 };
+  }
+
+  if (previous.helpful === isHelpful) {
+    return null;
+  }
+
+  // Only the request that actually flips the vote moves the counts
+  const flipped = await ReviewVote.findOneAndUpdate(
+    { review: reviewId, user: userId, helpful: !isHelpful },
+    { $set: { helpful: isHelpful } }
+  );
+
+  return flipped ? { [field]: 1, [otherField]: -1 } : null;
+};
+
+// @desc    Get approved reviews of a product
+// @route   GET /api/products/:id/reviews?sort=helpful&rating=5&verified=true
+// @access  Public
+exports.getProductReviews = asyncHandler(async (req, res) => {
+  const { sort = 'recent' } = req.query;
+
+  if (!REVIEW_SORTS[sort]) {
+    const error = new Error(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const product = await Product.findById(req.params.id).select('rating numReviews ratingHistogram');
+
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const query = { product: product._id, status: 'approved' };
+
+  if (req.query.rating) {
+    query.rating = Number(req.query.rating);
+
+    if (!Number.isInteger(query.rating) || query.rating < 1 || query.rating > 5) {
+      const error = new Error('Rating must be a whole number from 1 to 5');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  if (req.query.verified === 'true') {
+    query.verifiedPurchase = true;
+  }
+
+  const page = await paginate(req, Review, query, {
+    sort: REVIEW_SORTS[sort],
+    defaultLimit: 10,
+    maxLimit: 50,
+    build: (reviews) => reviews.select(PUBLIC_FIELDS)
+  });
+
+  sendPage(req, res, page, {
+    summary: {
+      rating: product.rating,
+      numReviews: product.numReviews,
+      ratingHistogram: product.ratingHistogram
+    }
+  });
+});
+
+// @desc    Create product review
+// @route   POST /api/products/:id/reviews
+// @access  Private
+exports.createReview = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select('_id');
+
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Check if user already reviewed
+  if (await Review.exists({ product: product._id, user: req.user._id })) {
+    const error = new Error('Product already reviewed');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const verifiedPurchase = await hasReceivedProduct(req.user._id, product._id);
+
+  if (!verifiedPurchase && requiresPurchase()) {
+    const error = new Error('Only customers who received this product can review it');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const { rating, comment } = getReviewInput(req.body);
+  const flags = await screenReview({ user: req.user._id, comment });
+
+  const review = await Review.create({
+    product: product._id,
+    user: req.user._id,
+    name: req.user.name,
+    rating,
+    comment,
+    verifiedPurchase,
+    flags,
+    status: getReviewStatus(flags)
+  });
+
+  if (review.status === 'approved') {
+    await Review.syncProductRating(product._id);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: review.status === 'approved'
+      ? 'Review added successfully'
+      : 'Review submitted and waiting for moderation',
+    data: review
+  });
+});
+
+// @desc    Update own review (goes through moderation again)
+// @route   PUT /api/reviews/:id
+// @access  Private (author)
+exports.updateReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id);
+
+  if (!review.user.equals(req.user._id)) {
+    const error = new Error('Not authorized to update this review');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const { rating, comment } = getReviewInput(req.body, review);
+  const flags = await screenReview({ user: req.user._id, comment, _id: review._id });
+
+  review.rating = rating;
+  review.comment = comment;
+  review.verifiedPurchase = review.verifiedPurchase || await hasReceivedProduct(req.user._id, review.product);
+  review.flags = flags;
+  review.status = getReviewStatus(flags, review.status);
+  await review.save();
+
+  await Review.syncProductRating(review.product);
+
+  res.status(200).json({
+    success: true,
+    message: review.status === 'approved'
+      ? 'Review updated successfully'
+      : 'Review updated and waiting for moderation',
+    data: review
+  });
+});
+
+// @desc    Delete review (author, or moderator)
+// @route   DELETE /api/reviews/:id
+// @access  Private (author or reviews:moderate)
+exports.deleteReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id);
+  const isAuthor = review.user.equals(req.user._id);
+
+  if (!isAuthor && !req.user.hasPermission('reviews:moderate')) {
+    const error = new Error('Not authorized to delete this review');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  await review.deleteOne();
+  await ReviewVote.deleteMany({ review: review._id });
+  await Review.syncProductRating(review.product);
+
+  if (!isAuthor) {
+    await recordAudit(req, {
+      action: 'review.delete',
+      targetType: 'Review',
+      targetId: review._id,
+      changes: diffChanges(review, null, { fields: ['product', 'user', 'rating', 'comment', 'status'] })
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+// @desc    Vote a review helpful or unhelpful (one vote per user, can be changed)
+// @route   PUT /api/reviews/:id/vote
+// @access  Private
+exports.voteReview = asyncHandler(async (req, res) => {
+  const { helpful } = req.body;
+
+  if (![true, false, 'true', 'false'].includes(helpful)) {
+    const error = new Error('helpful must be true or false');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const isHelpful = helpful === true || helpful === 'true';
+  const review = await findReview(req.params.id);
+
+  // Unpublished reviews cannot be seen, so they cannot be voted on either
+  if (review.status !== 'approved') {
+    const error = new Error('Review not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (review.user.equals(req.user._id)) {
+    const error = new Error('You cannot vote on your own review');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const increments = await saveVote(review._id, req.user._id, isHelpful);
+  const updated = increments ? await Review.adjustVoteCounts(review._id, increments) : review;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      helpful: isHelpful,
+      helpfulCount: updated.helpfulCount,
+      unhelpfulCount: updated.unhelpfulCount
+    }
+  });
+});
+
+// @desc    Remove own vote from a review
+// @route   DELETE /api/reviews/:id/vote
+// @access  Private
+exports.removeReviewVote = asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id);
+  const vote = await ReviewVote.findOneAndDelete({ review: review._id, user: req.user._id });
+
+  if (!vote) {
+    const error = new Error('You have not voted on this review');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const updated = await Review.adjustVoteCounts(review._id, {
+    [vote.helpful ? 'helpfulCount' : 'unhelpfulCount']: -1
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      helpful: null,
+      helpfulCount: updated.helpfulCount,
+      unhelpfulCount: updated.unhelpfulCount
+    }
+  });
+});
+
+// @desc    Get the review moderation queue (oldest first)
+// @route   GET /api/admin/reviews?status=pending&product=
+// @access  Private (reviews:moderate)
+exports.getReviewQueue = asyncHandler(async (req, res) => {
+  const { status = 'pending', product } = req.query;
+
+  if (!MODERATION_STATUSES.includes(status)) {
+    const error = new Error(`Status must be one of: ${MODERATION_STATUSES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const query = { status };
+  if (product) {
+    query.product = product;
+  }
+
+  const page = await paginate(req, Review, query, {
+    sort: { createdAt: 1 },
+    build: (reviews) => reviews
+      .populate('product', 'name image')
+      .populate('user', 'name email')
+      .populate('moderatedBy', 'name email')
+  });
+
+  sendPage(req, res, page);
+});
+
+// @desc    Approve or reject a review
+// @route   PUT /api/admin/reviews/:id/moderate
+// @access  Private (reviews:moderate)
+exports.moderateReview = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    const error = new Error('Status must be approved or rejected');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const review = await findReview(req.params.id);
+  const before = review.toObject();
+
+  review.status = status;
+  review.moderationNote = note;
+  review.moderatedBy = req.user._id;
+  review.moderatedAt = Date.now();
+  await review.save();
+
+  await Review.syncProductRating(review.product);
+
+  await recordAudit(req, {
+    action: 'review.moderate',
+    targetType: 'Review',
+    targetId: review._id,
+    changes: diffChanges(before, review, { fields: ['status', 'moderationNote'] })
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Review ${status}`,
+    data: review
+  });
+});
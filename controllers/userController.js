@@ -1,11 +1,25 @@
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const {
+  issueAccessToken,
+  issueImpersonationToken,
+  revokeAllSessions,
+  clearAuthCookies
+} = require('../utils/tokenService');
+const { getLoginHistory } = require('../utils/loginHistory');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
+const { exportUserData, anonymizeUser } = require('../utils/personalData');
+const { recordAudit, diffChanges } = require('../utils/auditLog');
+const { normalizePhone } = require('../utils/passwordless');
+const { validatePassword } = require('../utils/validation');
+const { sendEmail, getFrontendUrl } = require('../utils/sendEmail');
+const { paginate, sendPage } = require('../utils/pagination');
 
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Private/Admin
+// @access  Private (users:read)
 exports.getUsers = asyncHandler(async (req, res) => {
-  const { page, limit, search, role } = req.query;
+  const { search, role } = req.query;
 
   let query = {};
 
@@ -22,31 +36,18 @@ exports.getUsers = asyncHandler(async (req, res) => {
     query.role = role;
   }
 
-  // Pagination
-  const pageNumber = parseInt(page, 10) || 1;
-  const pageSize = parseInt(limit, 10) || 10;
-  const skip = (pageNumber - 1) * pageSize;
-
-  const totalUsers = await User.countDocuments(query);
-  const users = await User.find(query)
-    .select('-password')
-    .skip(skip)
-    .limit(pageSize)
-    .sort('-createdAt');
-
-  res.status(200).json({
-    success: true,
-    count: users.length,
-    total: totalUsers,
-    page: pageNumber,
-    pages: Math.ceil(totalUsers / pageSize),
-    data: users
+  const page = await paginate(req, User, query, {
+    sort: { createdAt: -1 },
+    defaultLimit: 10,
+    build: (users) => users.select('-password')
   });
+
+  sendPage(req, res, page);
 });
 
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Private/Admin
+// @access  Private (users:read)
 exports.getUserById = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
 
@@ -62,11 +63,41 @@ exports.getUserById = asyncHandler(async (req, res) => {
   });
 });
 
+// Helper function to confirm a sensitive profile change with the current password
+// (Google-only accounts have no password yet and may set a first one)
+const checkCurrentPassword = async (user, currentPassword) => {
+  if (user.password && !(await user.comparePassword(currentPassword || ''))) {
+    const error = new Error('Current password is incorrect');
+    error.statusCode = 401;
+    throw error;
+  }
+};
+
+// Helper function to email the confirmation link to the new address and a notice to the old one
+const sendEmailChangeLinks = async (user) => {
+  const confirmUrl = `${getFrontendUrl()}/verify-email/${user.generateEmailChangeToken()}`;
+
+  await sendEmail({
+    to: user.pendingEmail,
+    subject: 'Confirm your new OrganicMart email',
+    text: `Hi ${user.name},\n\nPlease confirm your new email address by opening the link below:\n\n${confirmUrl}\n\n` +
+      'If you did not ask for this change, you can ignore this email.'
+  });
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your OrganicMart email is being changed',
+    text: `Hi ${user.name},\n\nSomeone asked to change the email of your account to ${user.pendingEmail}. ` +
+      'Nothing changes until the new address is confirmed.\n\n' +
+      'If this was not you, change your password right away.'
+  });
+};
+
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private
 exports.updateProfile = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
+  const user = await User.findById(req.user._id).select('+password +passwordHistory');
 
   if (!user) {
     const error = new Error('User not found');
@@ -75,19 +106,64 @@ exports.updateProfile = asyncHandler(async (req, res) => {
   }
 
   user.name = req.body.name || user.name;
-  user.email = req.body.email || user.email;
-  user.phone = req.body.phone || user.phone;
+
+  // Changing email requires the current password and a link sent to the new address;
+  // the old address stays in use until that link is opened
+  const newEmail = req.body.email ? String(req.body.email).trim().toLowerCase() : '';
+  const changesEmail = Boolean(newEmail) && newEmail !== user.email;
+
+  // Asking for the current address again cancels a pending change
+  if (newEmail && !changesEmail) {
+    user.pendingEmail = undefined;
+  }
+
+  if (changesEmail) {
+    await checkCurrentPassword(user, req.body.currentPassword);
+
+    if (await User.exists({ email: newEmail })) {
+      const error = new Error('Email is already in use');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    user.pendingEmail = newEmail;
+  }
+
+  // Changing phone number requires a new OTP login to verify it
+  if (req.body.phone && normalizePhone(req.body.phone) !== user.phone) {
+    user.phone = normalizePhone(req.body.phone);
+    user.isPhoneVerified = false;
+    user.phoneVerifiedAt = undefined;
+  }
   
   if (req.body.address) {
     user.address = { ...user.address, ...req.body.address };
   }
 
   if (req.body.password) {
-    user.password = req.body.password;
+    await checkCurrentPassword(user, req.body.currentPassword);
+
+    const passwordValidation = validatePassword(req.body.password);
+    if (!passwordValidation.isValid) {
+      const error = new Error(passwordValidation.message);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await user.changePassword(req.body.password);
   }
 
   const updatedUser = await user.save();
 
+  if (changesEmail) {
+    await sendEmailChangeLinks(updatedUser);
+  }
+
+  // A password change signs out every other session
+  if (req.body.password) {
+    await revokeAllSessions(updatedUser._id, 'password_changed', req.authSession._id);
+  }
+
   res.status(200).json({
     success: true,
     data: {
@@ -95,16 +171,18 @@ exports.updateProfile = asyncHandler(async (req, res) => {
       name: updatedUser.name,
       email: updatedUser.email,
       role: updatedUser.role,
+      isEmailVerified: updatedUser.isEmailVerified,
+      pendingEmail: updatedUser.pendingEmail,
       phone: updatedUser.phone,
       address: updatedUser.address,
-      token: updatedUser.generateToken()
+      token: issueAccessToken(updatedUser, req.authSession)
     }
   });
 });
 
-// @desc    Delete user
+// @desc    Delete user (anonymizes personal data, orders are kept for accounting)
 // @route   DELETE /api/users/:id
-// @access  Private/Admin
+// @access  Private (users:delete)
 exports.deleteUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
 
@@ -114,7 +192,17 @@ exports.deleteUser = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  await user.deleteOne();
+  const before = user.toObject();
+
+  await anonymizeUser(user);
+
+  // Only non-personal fields, the audit trail must not undo the anonymization
+  await recordAudit(req, {
+    action: 'user.delete',
+    targetType: 'User',
+    targetId: user._id,
+    changes: diffChanges(before, user, { fields: ['role', 'isActive', 'deletedAt'] })
+  });
 
   res.status(200).json({
     success: true,
@@ -122,9 +210,265 @@ exports.deleteUser = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Export personal data of logged in user
+// @route   GET /api/users/me/export
+// @access  Private
+exports.exportMyData = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const archive = await exportUserData(user);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename=organicmart-data-${date}.json`);
+  res.status(200).send(JSON.stringify(archive, null, 2));
+});
+
+// @desc    Delete own account (anonymizes personal data, orders are kept for accounting)
+// @route   DELETE /api/users/me
+// @access  Private
+exports.deleteMyAccount = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  // Confirm with the current password when the account has one
+  if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+    const error = new Error('Please confirm your current password');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (user.role === 'admin') {
+    const adminCount = await User.countDocuments({ role: 'admin', isActive: true });
+    if (adminCount <= 1) {
+      const error = new Error('Cannot delete the last admin account');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  const before = user.toObject();
+
+  await anonymizeUser(user);
+
+  await recordAudit(req, {
+    action: 'user.self_delete',
+    targetType: 'User',
+    targetId: user._id,
+    changes: diffChanges(before, user, { fields: ['role', 'isActive', 'deletedAt'] })
+  });
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: 'Your account has been deleted'
+  });
+});
+
+// @desc    Force logout user from all devices
+// @route   POST /api/admin/users/:id/logout
+// @access  Private (users:manage_sessions)
+exports.forceLogoutUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const revokedCount = await revokeAllSessions(user._id, 'admin_revoked');
+
+  await recordAudit(req, {
+    action: 'user.force_logout',
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { revokedSessions: revokedCount }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User logged out from all devices',
+    revokedSessions: revokedCount
+  });
+});
+
+// @desc    Unlock user account locked after failed logins
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (users:manage_sessions)
+exports.unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const before = user.toObject();
+
+  await user.resetLoginAttempts();
+
+  await recordAudit(req, {
+    action: 'user.unlock',
+    targetType: 'User',
+    targetId: user._id,
+    changes: diffChanges(before, user, { fields: ['failedLoginAttempts', 'lockoutCount', 'lockUntil'] })
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User account unlocked'
+  });
+});
+
+// @desc    Get login history of a user
+// @route   GET /api/admin/users/:id/login-history
+// @access  Private (users:manage_sessions)
+exports.getUserLoginHistory = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  sendPage(req, res, await getLoginHistory(req, user._id, 50));
+});
+
+// @desc    Impersonate a customer (read-mostly token for support)
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (users:impersonate)
+exports.impersonateUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (user._id.equals(req.user._id)) {
+    const error = new Error('You cannot impersonate yourself');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Staff accounts carry permissions, so only customers can be impersonated
+  if (user.role !== 'user') {
+    const error = new Error('Only customer accounts can be impersonated');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (!user.isActive) {
+    const error = new Error('User account is deactivated');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { token, expiresAt } = issueImpersonationToken(req.user, user, req.authSession);
+
+  await recordAudit(req, {
+    action: 'user.impersonate',
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { reason: req.body.reason, expiresAt }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Impersonating ${user.email}. Write actions are blocked and every request is audited.`,
+    impersonation: true,
+    token,
+    expiresAt,
+    data: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    }
+  });
+});
+
+// @desc    List roles and their permissions
+// @route   GET /api/admin/roles
+// @access  Private (users:assign_roles)
+exports.getRoles = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ROLES.map((role) => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role]
+    }))
+  });
+});
+
+// @desc    Assign role to user
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (users:assign_roles)
+exports.updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    const error = new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Prevent admins from locking themselves out
+  if (user._id.equals(req.user._id)) {
+    const error = new Error('You cannot change your own role');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Keep at least one admin
+  if (user.role === 'admin' && role !== 'admin') {
+    const adminCount = await User.countDocuments({ role: 'admin', isActive: true });
+    if (adminCount <= 1) {
+      const error = new Error('Cannot remove the last admin');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  const previousRole = user.role;
+
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, {
+    action: 'user.role_change',
+    targetType: 'User',
+    targetId: user._id,
+    changes: { role: { from: previousRole, to: role } }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User role updated successfully',
+    data: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: ROLE_PERMISSIONS[user.role]
+    }
+  });
+});
+
 // @desc    Get admin dashboard statistics
-// @route   GET /api/users/admin/stats
-// @access  Private/Admin
+// @route   GET /api/admin/stats
+// @access  Private (dashboard:read)
 exports.getAdminStats = asyncHandler(async (req, res) => {
   const User = require('../models/User');
   const Order = require('../models/Order');
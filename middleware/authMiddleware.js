@@ -1,8 +1,21 @@
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const { getActiveSession, touchSession, getClientInfo } = require('../utils/tokenService');
+const { verifyApiKey } = require('../utils/apiKeyService');
+const { auditImpersonatedRequest } = require('../utils/auditLog');
+
+// Impersonation tokens are read-mostly: writes are only allowed on these paths
+const IMPERSONATION_WRITABLE_PATHS = ['/api/cart'];
+
+// Personal data and account security details stay hidden, even for reading
+const IMPERSONATION_BLOCKED_PATHS = ['/api/users/me/export', '/api/auth/sessions', '/api/auth/login-history'];
+
+// Match a path prefix on a segment boundary ('/api/cart' but not '/api/cartel')
+const matchesPath = (url, paths) => paths.some((path) => url === path || url.startsWith(`${path}/`));
 
 // Protect routes - verify JWT token from header or cookie
+// Sets req.user (effective user) and req.actor (who is really acting; differs while impersonating)
 exports.protect = asyncHandler(async (req, res, next) => {
   let token;
 
@@ -22,9 +35,21 @@ exports.protect = asyncHandler(async (req, res, next) => {
     throw error;
   }
 
+  let decoded;
+
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Token must belong to a session that has not been revoked
+    // (impersonation tokens ride on the actor's session)
+    req.authSession = await getActiveSession(decoded.sid, decoded.imp || decoded.id);
+
+    if (!req.authSession) {
+      const error = new Error('Session has been revoked');
+      error.statusCode = 401;
+      throw error;
+    }
 
     // Get user from token (exclude password)
     req.user = await User.findById(decoded.id).select('-password');
@@ -42,20 +67,102 @@ exports.protect = asyncHandler(async (req, res, next) => {
       throw error;
     }
 
-    next();
+    req.actor = req.user;
+
+    if (decoded.imp) {
+      req.actor = await User.findById(decoded.imp).select('-password');
+
+      // Actor must still be allowed to impersonate
+      if (!req.actor || !req.actor.isActive || !req.actor.hasPermission('users:impersonate')) {
+        const error = new Error('Impersonation is no longer allowed');
+        error.statusCode = 401;
+        throw error;
+      }
+
+      req.impersonating = true;
+    }
+
+    await touchSession(req.authSession, getClientInfo(req));
   } catch (err) {
     const error = new Error('Not authorized to access this route');
     error.statusCode = 401;
     throw error;
   }
+
+  if (req.impersonating) {
+    auditImpersonatedRequest(req, res);
+
+    // Express routes ignore case and a trailing slash, so compare the same way
+    const url = req.originalUrl.split('?')[0].replace(/\/+$/, '').toLowerCase();
+    const writable = matchesPath(url, IMPERSONATION_WRITABLE_PATHS);
+    const blocked = matchesPath(url, IMPERSONATION_BLOCKED_PATHS);
+    if (blocked || (req.method !== 'GET' && req.method !== 'HEAD' && !writable)) {
+      const error = new Error('This action is not allowed while impersonating a user');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  next();
 });
 
-// Admin middleware
-exports.admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Protect routes for users (JWT) or server-to-server integrations (X-API-Key header)
+exports.protectOrApiKey = asyncHandler(async (req, res, next) => {
+  const key = req.get('x-api-key');
+
+  if (!key) {
+    return exports.protect(req, res, next);
+  }
+
+  req.apiKey = await verifyApiKey(key, req.ip);
+
+  if (!req.apiKey) {
+    const error = new Error('Invalid or expired API key');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  next();
+});
+
+// Permission middleware - allow roles (or API key scopes) granting any of the given permissions
+exports.authorize = (...permissions) => (req, res, next) => {
+  if (req.apiKey) {
+    if (!permissions.some((permission) => req.apiKey.scopes.includes(permission))) {
+      const error = new Error('API key is missing the required scope');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return next();
+  }
+
+  if (!req.user || !permissions.some((permission) => req.user.hasPermission(permission))) {
+    const error = new Error('Not authorized to perform this action');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  // Policy: privileged sessions must have passed 2FA
+  if (req.user.requiresTwoFactor() && !req.authSession.twoFactorVerified) {
+    const error = new Error('Two-factor authentication is required for staff access');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  next();
+};
+
+// Require a verified email (enabled with REQUIRE_EMAIL_VERIFICATION=true)
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (req.user && req.user.isEmailVerified) {
     next();
   } else {
-    const error = new Error('Not authorized as admin');
+    const error = new Error('Please verify your email address to continue');
     error.statusCode = 403;
     throw error;
   }
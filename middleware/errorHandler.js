@@ -23,6 +23,12 @@ const errorHandler = (err, req, res, next) => {
     console.error('❌ Full validation error:', err);
   }
 
+  // File upload errors
+  if (err.name === 'MulterError') {
+    message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    statusCode = 400;
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     message = 'Invalid token';
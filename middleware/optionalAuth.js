@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getActiveSession } = require('../utils/tokenService');
 
 // Optional authentication middleware - works for both guests and authenticated users
 const optionalAuth = async (req, res, next) => {
@@ -15,7 +16,13 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
-        req.user = await User.findById(decoded.id).select('-password');
+        const session = await getActiveSession(decoded.sid, decoded.id);
+
+        // Revoked sessions are treated as guests
+        if (session) {
+          req.authSession = session;
+          req.user = await User.findById(decoded.id).select('-password');
+        }
       } catch (error) {
         // Token invalid, continue as guest
         console.log('Invalid token, continuing as guest');
@@ -53,4 +53,26 @@ exports.passwordResetLimiter = rateLimit({
     success: false,
     message: 'Too many password reset attempts, please try again later',
   },
-});
\ No newline at end of file
+});
+
+// Passwordless login code/link limiter
+exports.passwordlessLimiter = rateLimit({
+  ...commonConfig,
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many login codes requested, please try again later',
+  },
+});
+
+// Verification email resend limiter
+exports.verificationEmailLimiter = rateLimit({
+  ...commonConfig,
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many verification emails requested, please try again later',
+  },
+});
@@ -0,0 +1,62 @@
+const path = require('path');
+const multer = require('multer');
+
+// Product import files (CSV or XLSX)
+const SPREADSHEET_TYPES = {
+  '.csv': ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream']
+};
+
+// Product and category images (the content is checked again when decoding)
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const getImportMaxBytes = () => (Number(process.env.IMPORT_MAX_FILE_MB) || 5) * 1024 * 1024;
+
+const getImageMaxBytes = () => (Number(process.env.IMAGE_MAX_FILE_MB) || 5) * 1024 * 1024;
+
+const uploadError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Accept a single CSV or XLSX file in the `file` field (kept in memory, never written to disk)
+exports.uploadSpreadsheet = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getImportMaxBytes(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      const allowed = SPREADSHEET_TYPES[path.extname(file.originalname).toLowerCase()];
+
+      if (!allowed || !allowed.includes(file.mimetype)) {
+        return cb(uploadError('Only .csv and .xlsx files are allowed'));
+      }
+
+      cb(null, true);
+    }
+  }).single('file');
+
+  upload(req, res, next);
+};
+
+/**
+ * Accept up to `maxCount` JPEG, PNG or WebP images in one field (kept in memory until processed)
+ * @param {string} field - Multipart field name
+ * @param {number} [maxCount] - Maximum number of files
+ * @returns {Function} - Express middleware setting req.files
+ */
+exports.uploadImages = (field, maxCount = 1) => (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getImageMaxBytes(), files: maxCount },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES.includes(file.mimetype)) {
+        return cb(uploadError('Only JPEG, PNG and WebP images are allowed'));
+      }
+
+      cb(null, true);
+    }
+  }).array(field, maxCount);
+
+  upload(req, res, next);
+};
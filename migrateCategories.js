@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Category = require('./models/Category');
+const Product = require('./models/Product');
+require('dotenv').config();
+
+// Moves products from free-text category names to Category references.
+// Safe to run more than once: products that already reference a category are skipped.
+async function migrateCategories() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    // Category names used to be globally unique; they are now unique per parent
+    try {
+      await Category.collection.dropIndex('name_1');
+      console.log('🗑️  Dropped old unique index on category name');
+    } catch (error) {
+      // Index does not exist (already migrated or fresh database)
+    }
+    await Category.syncIndexes();
+
+    // Read through the native collection, the schema would try to cast the names
+    const names = await Product.collection.distinct('category', { category: { $type: 'string' } });
+
+    if (names.length === 0) {
+      console.log('✅ No products with text categories, nothing to migrate');
+      process.exit(0);
+    }
+
+    let migrated = 0;
+
+    for (const rawName of names) {
+      const name = rawName.trim();
+      let category = name && await Category.resolve(name);
+
+      if (!category) {
+        category = await Category.create({ name: name || 'Uncategorized' });
+        console.log(`📁 Created category ${category.name}`);
+      }
+
+      const result = await Product.collection.updateMany(
+        { category: rawName },
+        { $set: { category: category._id } }
+      );
+
+      migrated += result.modifiedCount;
+      console.log(`🔗 ${rawName} → ${category.slug} (${result.modifiedCount} products)`);
+    }
+
+    console.log(`✅ Migrated ${migrated} products to ${names.length} categories`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating categories:', error);
+    process.exit(1);
+  }
+}
+
+migrateCategories();
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+require('dotenv').config();
+
+// Marks accounts created before email verification existed as verified, so turning on
+// REQUIRE_EMAIL_VERIFICATION does not block existing customers from checking out.
+// Newer accounts always store `isEmailVerified`, so they are left alone.
+// Safe to run more than once.
+async function migrateEmailVerification() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    const result = await User.collection.updateMany(
+      { isEmailVerified: { $exists: false } },
+      { $set: { isEmailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log(`✅ Marked ${result.modifiedCount} existing accounts as verified`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating email verification:', error);
+    process.exit(1);
+  }
+}
+
+migrateEmailVerification();
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const { normalizePhone } = require('./utils/passwordless');
+require('dotenv').config();
+
+// Stores phone numbers in the normalized form SMS login looks them up by, then builds the
+// unique index on verified numbers. When several accounts verified the same number, the
+// most recently verified one keeps it and the others have to verify again.
+// Safe to run more than once.
+async function migratePhones() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    const users = await User.collection
+      .find({ phone: { $exists: true, $nin: [null, ''] } }, { projection: { phone: 1 } })
+      .toArray();
+
+    const operations = users
+      .filter((user) => normalizePhone(user.phone) !== user.phone)
+      .map((user) => ({
+        updateOne: { filter: { _id: user._id }, update: { $set: { phone: normalizePhone(user.phone) } } }
+      }));
+
+    if (operations.length > 0) {
+      await User.collection.bulkWrite(operations, { ordered: false });
+    }
+    console.log(`📱 Normalized ${operations.length} of ${users.length} phone numbers`);
+
+    const duplicates = await User.collection.aggregate([
+      { $match: { isPhoneVerified: true, phone: { $exists: true, $nin: [null, ''] } } },
+      { $sort: { phoneVerifiedAt: -1 } },
+      { $group: { _id: '$phone', users: { $push: '$_id' } } },
+      { $match: { 'users.1': { $exists: true } } }
+    ]).toArray();
+
+    for (const duplicate of duplicates) {
+      const [, ...others] = duplicate.users;
+      await User.collection.updateMany(
+        { _id: { $in: others } },
+        { $set: { isPhoneVerified: false }, $unset: { phoneVerifiedAt: '' } }
+      );
+      console.log(`⚠️  ${duplicate._id}: verified by ${duplicate.users.length} accounts, kept the latest`);
+    }
+
+    await User.createIndexes();
+
+    console.log('✅ Phone numbers migrated');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating phone numbers:', error);
+    process.exit(1);
+  }
+}
+
+migratePhones();
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+const Review = require('./models/Review');
+const { hasReceivedProduct } = require('./utils/verifiedPurchase');
+require('dotenv').config();
+
+// Moves reviews embedded in products (`Product.reviews`) to the Review collection.
+// Existing reviews were already public, so they are imported as approved; reviewers with a
+// delivered order of the product get the verified purchase badge.
+// Safe to run more than once: reviews are matched by product and user.
+async function migrateReviews() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    await Review.syncIndexes();
+
+    // Read through the native collection, `reviews` is no longer in the schema
+    const products = await Product.collection
+      .find({ 'reviews.0': { $exists: true } }, { projection: { name: 1, reviews: 1 } })
+      .toArray();
+
+    if (products.length === 0) {
+      console.log('✅ No embedded reviews, nothing to migrate');
+      process.exit(0);
+    }
+
+    let migrated = 0;
+
+    for (const product of products) {
+      const operations = await Promise.all(product.reviews.map(async (review) => ({
+        updateOne: {
+          filter: { product: product._id, user: review.user },
+          update: {
+            $setOnInsert: {
+              _id: review._id,
+              product: product._id,
+              user: review.user,
+              name: review.name,
+              rating: Math.min(Math.max(Math.round(review.rating), 1), 5),
+              comment: review.comment,
+              status: 'approved',
+              verifiedPurchase: await hasReceivedProduct(review.user, product._id),
+              helpfulCount: 0,
+              unhelpfulCount: 0,
+              flags: [],
+              createdAt: review.createdAt || product._id.getTimestamp(),
+              updatedAt: review.createdAt || product._id.getTimestamp()
+            }
+          },
+          upsert: true
+        }
+      })));
+
+      const result = await Review.collection.bulkWrite(operations, { ordered: false });
+      await Review.syncProductRating(product._id);
+      await Product.collection.updateOne({ _id: product._id }, { $unset: { reviews: '' } });
+
+      migrated += result.upsertedCount;
+      console.log(`💬 ${product.name}: ${result.upsertedCount} of ${product.reviews.length} reviews moved`);
+    }
+
+    console.log(`✅ Migrated ${migrated} reviews from ${products.length} products`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating reviews:', error);
+    process.exit(1);
+  }
+}
+
+migrateReviews();
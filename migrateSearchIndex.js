@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+require('dotenv').config();
+
+// Replaces the old unweighted text index with the weighted search index.
+// MongoDB allows a single text index per collection, so the old one has to go first.
+async function migrateSearchIndex() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    const indexes = await Product.collection.indexes();
+    const oldTextIndexes = indexes.filter(
+      (index) => index.key._fts === 'text' && index.name !== 'product_text_search'
+    );
+
+    for (const index of oldTextIndexes) {
+      await Product.collection.dropIndex(index.name);
+      console.log(`🗑️  Dropped text index ${index.name}`);
+    }
+
+    await Product.createIndexes();
+    console.log('✅ Product search index is up to date');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating search index:', error);
+    process.exit(1);
+  }
+}
+
+migrateSearchIndex();
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Answerer name at the time of writing
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Please write an answer'],
+    trim: true,
+    maxlength: [2000, 'Answer cannot be more than 2000 characters']
+  },
+  // Answered by store staff (questions:manage) rather than a customer
+  isStaff: {
+    type: Boolean,
+    default: false
+  },
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  // One upvote per user is kept in AnswerVote
+  upvoteCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Only approved answers are shown and counted on the question
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  flags: [{
+    type: String,
+    enum: ['profanity', 'link', 'repetition', 'shouting', 'too_frequent']
+  }],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+answerSchema.index({ question: 1, status: 1, upvoteCount: -1, createdAt: 1 });
+answerSchema.index({ status: 1, createdAt: 1 });
+answerSchema.index({ product: 1 });
+answerSchema.index({ user: 1, createdAt: -1 });
+
+// Add to or take from the upvote count, clamped at zero ($inc does not check `min`)
+answerSchema.statics.adjustUpvoteCount = function(answerId, delta) {
+  return this.findByIdAndUpdate(answerId, [
+    { $set: { upvoteCount: { $max: [0, { $add: [{ $ifNull: ['$upvoteCount', 0] }, delta] }] } } }
+  ], { new: true });
+};
+
+module.exports = mongoose.model('Answer', answerSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const answerVoteSchema = new mongoose.Schema({
+  answer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Answer',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One upvote per user and answer
+answerVoteSchema.index({ answer: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('AnswerVote', answerVoteSchema);
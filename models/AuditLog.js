@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Append-only record of who did what. Entries can be created and read, never changed or removed.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required']
+  },
+  targetType: {
+    type: String
+  },
+  targetId: {
+    type: String
+  },
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  // Field-level diff: { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const immutableError = () => new Error('Audit log entries are immutable');
+
+// Block every write except inserting new entries
+auditLogSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : immutableError());
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'findOneAndDelete', 'deleteMany'],
+  function(next) {
+    next(immutableError());
+  }
+);
+
+auditLogSchema.pre('deleteOne', { document: true, query: true }, function(next) {
+  next(immutableError());
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ impersonatedUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
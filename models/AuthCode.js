@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Short-lived, single-use authorization code handed to the frontend after
+// an OAuth redirect and exchanged for tokens via POST /api/auth/google/exchange
+const authCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove codes once they expire
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthCode', authCodeSchema);
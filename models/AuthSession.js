@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One document per login. The refresh tokens issued for a login form a
+// rotation family; revoking the session invalidates every token in it.
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',
+      'logout_all',
+      'user_revoked',
+      'admin_revoked',
+      'reuse_detected',
+      'password_changed',
+      'user_inactive'
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+// Check if session can still be used
+authSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove sessions once they expire
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -15,6 +15,10 @@ const cartSchema = new mongoose.Schema({
       ref: 'Product',
       required: [true, 'Product ID is required']
     },
+    // Set for products with variants (Product.variants._id)
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     quantity: {
       type: Number,
       required: [true, 'Quantity is required'],
@@ -1,16 +1,41 @@
 const mongoose = require('mongoose');
+const imageAssetSchema = require('./ImageAsset');
+
+const slugify = (text) => {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
 
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Please provide a category name'],
-    unique: true,
-    trim: true
+    trim: true,
+    maxlength: [60, 'Category name cannot be more than 60 characters']
   },
   slug: {
     type: String,
     unique: true,
-    lowercase: true
+    lowercase: true,
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Materialized path from the root down to the parent, used for subtree queries
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
   },
   description: {
     type: String,
@@ -22,6 +47,8 @@ const categorySchema = new mongoose.Schema({
   image: {
     type: String
   },
+  // Set when the image was uploaded rather than given as a URL
+  imageAsset: imageAssetSchema,
   isActive: {
     type: Boolean,
     default: true
@@ -30,12 +57,100 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate slug before saving
-categorySchema.pre('save', function(next) {
-  if (this.isModified('name')) {
-    this.slug = this.name.toLowerCase().replace(/\s+/g, '-');
+// Generate a unique slug and the ancestor path before saving
+categorySchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('parent') || this.isNew) {
+      if (this.parent) {
+        if (this.parent.equals(this._id)) {
+          throw new Error('A category cannot be its own parent');
+        }
+
+        const parent = await this.constructor.findById(this.parent);
+        if (!parent) {
+          throw new Error('Parent category not found');
+        }
+
+        if (parent.ancestors.some((id) => id.equals(this._id))) {
+          throw new Error('A category cannot be moved under one of its subcategories');
+        }
+
+        this.ancestors = [...parent.ancestors, parent._id];
+      } else {
+        this.ancestors = [];
+      }
+    }
+
+    if (this.isModified('slug') && this.slug) {
+      this.slug = slugify(this.slug);
+
+      // An explicit slug is kept as given, so a clash is an error rather than a silent suffix
+      if (await this.constructor.exists({ slug: this.slug, _id: { $ne: this._id } })) {
+        throw new Error(`Slug "${this.slug}" is already used by another category`);
+      }
+    } else if (this.isModified('name') || !this.slug) {
+      // Only auto-generate when no slug was given explicitly
+      const base = slugify(this.name) || 'category';
+      let slug = base;
+      let suffix = 2;
+
+      while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+        slug = `${base}-${suffix++}`;
+      }
+
+      this.slug = slug;
+    }
+
+    next();
+  } catch (error) {
+    error.statusCode = 400;
+    next(error);
   }
-  next();
 });
 
+// Recompute the ancestor paths of every descendant (after this category moved)
+categorySchema.methods.updateDescendantPaths = async function() {
+  const children = await this.constructor.find({ parent: this._id });
+
+  for (const child of children) {
+    child.ancestors = [...this.ancestors, this._id];
+    await child.save();
+    await child.updateDescendantPaths();
+  }
+};
+
+// Find a category by ID, slug or (case-insensitive) name
+categorySchema.statics.resolve = async function(identifier) {
+  if (!identifier) {
+    return null;
+  }
+
+  if (identifier instanceof mongoose.Types.ObjectId || mongoose.Types.ObjectId.isValid(String(identifier))) {
+    const category = await this.findById(identifier);
+    if (category) {
+      return category;
+    }
+  }
+
+  const value = String(identifier).trim();
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return (await this.findOne({ slug: value.toLowerCase() })) ||
+    this.findOne({ name: { $regex: `^${escaped}$`, $options: 'i' } }).sort({ parent: 1 });
+};
+
+// IDs of a category and all of its subcategories
+categorySchema.statics.getSubtreeIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id');
+  return [categoryId, ...descendants.map((category) => category._id)];
+};
+
+categorySchema.statics.slugify = slugify;
+
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Names only need to be unique among siblings
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+
 module.exports = mongoose.model('Category', categorySchema);
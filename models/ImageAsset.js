@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Uploaded image with its renditions, embedded in products and categories (not a collection of its own).
+// `files` lists every stored rendition so they can be deleted together.
+const imageAssetSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  mediumUrl: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  files: [{
+    type: String
+  }],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+module.exports = imageAssetSchema;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'google', '2fa', 'otp', 'magic_link'],
+    default: 'password'
+  },
+  outcome: {
+    type: String,
+    required: true,
+    enum: [
+      'success',
+      'failed_password',
+      'failed_2fa',
+      'failed_code',
+      'unknown_user',
+      'locked',
+      'inactive',
+      '2fa_required'
+    ]
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  deviceHash: {
+    type: String
+  },
+  newDevice: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, deviceHash: 1, outcome: 1 });
+
+// Keep login history for 180 days
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
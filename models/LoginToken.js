@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Passwordless login secret: a 6-digit code sent by SMS or a magic link sent
+// by email. Only a keyed hash is stored and the document is deleted on use.
+const loginTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginTokenSchema.index({ user: 1, channel: 1 });
+loginTokenSchema.index({ tokenHash: 1 });
+
+// Let MongoDB remove tokens once they expire
+loginTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginToken', loginTokenSchema);
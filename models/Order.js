@@ -11,6 +11,19 @@ const orderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.Mixed, // Accept both ObjectId and String for mock products
       required: [true, 'Product ID is required']
     },
+    // Variant snapshot at the time of purchase (products with variants only)
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+      type: String
+    },
+    variantName: {
+      type: String
+    },
+    unit: {
+      type: String
+    },
     name: {
       type: String,
       required: true
@@ -1,4 +1,44 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
+const imageAssetSchema = require('./ImageAsset');
+
+// Purchasable option of a product, e.g. "500ml" / "1L" or "Pack of 6"
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a variant name'],
+    trim: true,
+    maxlength: [50, 'Variant name cannot be more than 50 characters']
+  },
+  sku: {
+    type: String,
+    required: [true, 'Please provide a variant SKU'],
+    trim: true,
+    uppercase: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please provide a variant price'],
+    min: [0, 'Price cannot be negative']
+  },
+  comparePrice: {
+    type: Number,
+    min: [0, 'Compare price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  unit: {
+    type: String,
+    default: 'piece'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -7,6 +47,13 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Product name cannot be more than 100 characters']
   },
+  // Catalog key used by bulk import/export
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot be more than 64 characters']
+  },
   description: {
     type: String,
     required: [true, 'Please provide a product description'],
@@ -22,9 +69,13 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Compare price cannot be negative']
   },
   category: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
     required: [true, 'Please provide a product category'],
-    enum: ['Dairy', 'Organic Medicines', 'Farm Products', 'Fruits', 'Vegetables']
+    validate: {
+      validator: async (categoryId) => Boolean(await Category.exists({ _id: categoryId })),
+      message: 'Category not found'
+    }
   },
   image: {
     type: String,
@@ -33,6 +84,8 @@ const productSchema = new mongoose.Schema({
   images: [{
     type: String
   }],
+  // Uploaded images; their URLs are also listed in `images`
+  media: [imageAssetSchema],
   rating: {
     type: Number,
     default: 0,
@@ -43,6 +96,14 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Approved reviews per star rating; rating, numReviews and this are kept in sync by Review.syncProductRating
+  ratingHistogram: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 }
+  },
   inStock: {
     type: Boolean,
     default: true
@@ -56,6 +117,14 @@ const productSchema = new mongoose.Schema({
     type: String,
     default: 'piece'
   },
+  // When present, price/stock above are derived from the variants (lowest price, total stock)
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: (variants) => new Set(variants.map((variant) => variant.sku)).size === variants.length,
+      message: 'Variant SKUs must be unique'
+    }
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -78,37 +147,135 @@ const productSchema = new mongoose.Schema({
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  },
-  reviews: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    name: {
-      type: String,
-      required: true
-    },
-    rating: {
-      type: Number,
-      required: true,
-      min: 1,
-      max: 5
-    },
-    comment: {
-      type: String,
-      required: true
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }]
+  }
 }, {
   timestamps: true
 });
 
-// Create index for search
-productSchema.index({ name: 'text', description: 'text', tags: 'text' });
+// Keep product-level price, stock and availability in sync with the variants
+productSchema.pre('validate', function(next) {
+  const activeVariants = (this.variants || []).filter((variant) => variant.isActive);
+
+  if (activeVariants.length > 0) {
+    this.price = Math.min(...activeVariants.map((variant) => variant.price));
+    this.stock = activeVariants.reduce((total, variant) => total + variant.stock, 0);
+    this.inStock = this.stock > 0;
+  } else if (this.variants && this.variants.length > 0) {
+    // Every variant is switched off, so nothing can be bought (price keeps its last value)
+    this.stock = 0;
+    this.inStock = false;
+  }
+
+  next();
+});
+
+// Uploaded images are removed through the image endpoint only, so an update (or import) that
+// replaces `images` keeps their URLs and `images` stays in step with `media`
+productSchema.pre('validate', function(next) {
+  if (this.isModified('images') && this.media && this.media.length > 0) {
+    const missing = this.media.map((asset) => asset.url).filter((url) => !this.images.includes(url));
+    if (missing.length > 0) {
+      this.images = [...this.images, ...missing];
+    }
+  }
+
+  next();
+});
+
+// Product and variant SKUs have separate unique indexes, so check across both before saving
+productSchema.pre('validate', async function() {
+  if (!this.isModified('sku') && !this.isModified('variants')) {
+    return;
+  }
+
+  const variantSkus = (this.variants || []).map((variant) => variant.sku).filter(Boolean);
+  const skus = [this.sku, ...variantSkus].filter(Boolean);
+
+  if (skus.length === 0) {
+    return;
+  }
+
+  if (this.sku && variantSkus.includes(this.sku)) {
+    this.invalidate('sku', `SKU ${this.sku} is also used by one of this product's variants`);
+    return;
+  }
+
+  const conflict = await this.constructor.findOne({
+    _id: { $ne: this._id },
+    $or: [{ sku: { $in: skus } }, { 'variants.sku': { $in: skus } }]
+  }).select('sku variants.sku').lean();
+
+  if (conflict) {
+    const taken = [conflict.sku, ...(conflict.variants || []).map((variant) => variant.sku)];
+    const sku = skus.find((value) => taken.includes(value));
+    this.invalidate(this.sku === sku ? 'sku' : 'variants', `SKU ${sku} is already used by another product or variant`);
+  }
+});
+
+// Resolve what is being bought: a variant, or the product itself when it has none
+// Returns null if the variant does not exist or is inactive
+productSchema.methods.getPurchaseOption = function(variantId) {
+  if (!this.variants || this.variants.length === 0) {
+    return variantId ? null : { variant: null, price: this.price, stock: this.stock, unit: this.unit };
+  }
+
+  const variant = variantId ? this.variants.id(variantId) : null;
+
+  if (!variant || !variant.isActive) {
+    return null;
+  }
+
+  return { variant, price: variant.price, stock: variant.stock, unit: variant.unit };
+};
+
+// Atomically take stock for an order line; returns false if there is not enough left
+productSchema.statics.decrementStock = async function(productId, variantId, quantity) {
+  const filter = variantId
+    ? { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } }
+    : { _id: productId, stock: { $gte: quantity } };
+
+  const update = variantId
+    ? { $inc: { 'variants.$.stock': -quantity, stock: -quantity } }
+    : { $inc: { stock: -quantity } };
+
+  const result = await this.updateOne(filter, update);
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await this.updateOne({ _id: productId, stock: { $lte: 0 } }, { inStock: false });
+  return true;
+};
+
+// Give stock back (e.g. when a later line of the same order fails)
+productSchema.statics.restoreStock = async function(productId, variantId, quantity) {
+  if (variantId) {
+    await this.updateOne({ _id: productId, 'variants._id': variantId }, { $inc: { 'variants.$.stock': quantity } });
+    // Product stock only counts active variants (see the pre-validate hook)
+    await this.updateOne(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, isActive: true } } },
+      { $inc: { stock: quantity } }
+    );
+  } else {
+    await this.updateOne({ _id: productId }, { $inc: { stock: quantity } });
+  }
+
+  // Back in stock, unless every variant is switched off
+  await this.updateOne({
+    _id: productId,
+    stock: { $gt: 0 },
+    $or: [{ 'variants.0': { $exists: false } }, { variants: { $elemMatch: { isActive: true } } }]
+  }, { inStock: true });
+};
+
+// Weighted text index for search (a name match outranks a tag match, which outranks the description)
+productSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, tags: 5, description: 1 } }
+);
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ category: 1 });
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Answer = require('./Answer');
+
+const questionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Asker name at the time of writing
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Please write a question'],
+    trim: true,
+    minlength: [5, 'Question must be at least 5 characters'],
+    maxlength: [1000, 'Question cannot be more than 1000 characters']
+  },
+  // Approved answers, kept in sync by Question.syncAnswerCount
+  answerCount: {
+    type: Number,
+    default: 0
+  },
+  // Only approved questions are shown
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Why the content filter held the question back
+  flags: [{
+    type: String,
+    enum: ['profanity', 'link', 'repetition', 'shouting', 'duplicate', 'too_frequent']
+  }],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+questionSchema.index({ product: 1, status: 1, createdAt: -1 });
+questionSchema.index({ product: 1, status: 1, answerCount: -1, createdAt: -1 });
+questionSchema.index({ status: 1, createdAt: 1 });
+questionSchema.index({ user: 1, createdAt: -1 });
+
+// Recompute the number of approved answers of a question
+questionSchema.statics.syncAnswerCount = async function(questionId) {
+  const answerCount = await Answer.countDocuments({ question: questionId, status: 'approved' });
+  await this.updateOne({ _id: questionId }, { $set: { answerCount } });
+};
+
+module.exports = mongoose.model('Question', questionSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Reviewer name at the time of writing
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot be more than 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    required: [true, 'Please add a comment'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  // Set when the reviewer has a delivered order containing the product
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  // Vote totals, one vote per user is kept in ReviewVote
+  helpfulCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unhelpfulCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Only approved reviews are shown and counted in the product rating
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Why the content filter held the review back
+  flags: [{
+    type: String,
+    enum: ['profanity', 'link', 'repetition', 'shouting', 'duplicate', 'too_frequent']
+  }],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, status: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ product: 1, status: 1, rating: -1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+reviewSchema.index({ user: 1, createdAt: -1 });
+
+// Recompute a product's rating, review count and histogram from its approved reviews
+reviewSchema.statics.syncProductRating = async function(productId) {
+  const productObjectId = new mongoose.Types.ObjectId(String(productId));
+
+  const counts = await this.aggregate([
+    { $match: { product: productObjectId, status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const ratingHistogram = Object.fromEntries(RATINGS.map((rating) => [
+    rating,
+    (counts.find((item) => item._id === rating) || { count: 0 }).count
+  ]));
+
+  const numReviews = RATINGS.reduce((sum, rating) => sum + ratingHistogram[rating], 0);
+  const total = RATINGS.reduce((sum, rating) => sum + rating * ratingHistogram[rating], 0);
+
+  await Product.updateOne({ _id: productObjectId }, {
+    $set: {
+      rating: numReviews > 0 ? Math.round((total / numReviews) * 10) / 10 : 0,
+      numReviews,
+      ratingHistogram
+    }
+  });
+};
+
+// Apply vote count changes, e.g. { helpfulCount: 1, unhelpfulCount: -1 }
+// `min` is not checked by $inc, so counts are clamped at zero in the update itself
+reviewSchema.statics.adjustVoteCounts = function(reviewId, increments) {
+  const counts = Object.fromEntries(Object.entries(increments).map(([field, delta]) => [
+    field,
+    { $max: [0, { $add: [{ $ifNull: [`$${field}`, 0] }, delta] }] }
+  ]));
+
+  return this.findByIdAndUpdate(reviewId, [{ $set: counts }], { new: true });
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
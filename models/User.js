@@ -1,7 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const validator = require('validator');
+const { ROLES, hasPermission } = require('../config/permissions');
+const { getPasswordPolicy } = require('../config/passwordPolicy');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,6 +29,12 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Hashes of previous passwords, newest first (see PASSWORD_HISTORY_COUNT)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: Date,
   googleId: {
     type: String,
     unique: true,
@@ -33,13 +42,18 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   phone: {
     type: String,
     trim: true
   },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
   address: {
     street: String,
     city: String,
@@ -51,12 +65,58 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerificationSentAt: Date,
+  // New address waiting for confirmation; `email` only changes once the link is opened
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  deletedAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date
 }, {
   timestamps: true // Automatically adds createdAt and updatedAt
 });
 
+// A verified phone number belongs to one account only (used for SMS login)
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { isPhoneVerified: true } });
+
 // Encrypt password before saving (only if password is modified)
 userSchema.pre('save', async function(next) {
   // Skip hashing if password is not modified or doesn't exist (Google OAuth)
@@ -84,13 +144,154 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateToken = function() {
+// Set a new password, rejecting the current one and recently used ones.
+// User must be loaded with +password +passwordHistory; call save() afterwards.
+userSchema.methods.changePassword = async function(newPassword) {
+  const { historyCount } = getPasswordPolicy();
+  // The current password counts as the most recent one
+  const recentHashes = [this.password, ...(this.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, historyCount);
+
+  for (const hash of recentHashes) {
+    if (await bcrypt.compare(newPassword, hash)) {
+      const error = new Error(`New password must differ from your last ${historyCount} passwords`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  this.passwordHistory = recentHashes.slice(0, Math.max(historyCount - 1, 0));
+
+  this.password = newPassword;
+  this.passwordChangedAt = Date.now();
+};
+
+// Generate short-lived JWT access token bound to a login session
+userSchema.methods.generateToken = function(sessionId) {
+  const expireMinutes = Number(process.env.ACCESS_TOKEN_EXPIRE_MINUTES) || 15;
+
+  return jwt.sign(
+    { id: this._id, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expireMinutes}m` }
+  );
+};
+
+// Generate signed email verification token (bound to the current email)
+userSchema.methods.generateEmailVerificationToken = function() {
+  return jwt.sign(
+    { id: this._id, email: this.email, purpose: 'email-verification' },
+    process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+};
+
+// Generate signed email change token (bound to the current and the pending email)
+userSchema.methods.generateEmailChangeToken = function() {
+  return jwt.sign(
+    { id: this._id, email: this.email, newEmail: this.pendingEmail, purpose: 'email-change' },
+    process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+};
+
+// Generate short-lived token for the second login step (TOTP)
+userSchema.methods.generateTwoFactorChallengeToken = function() {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, purpose: '2fa-challenge' },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: '5m' }
   );
 };
 
+// Check if the user's role grants a permission
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
+// Check if policy makes 2FA mandatory for this account (admin and staff roles)
+userSchema.methods.requiresTwoFactor = function() {
+  return this.role !== 'user' && process.env.REQUIRE_ADMIN_2FA === 'true';
+};
+
+// Check if account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Count a failed login and lock the account once the limit is reached.
+// Each consecutive lockout doubles the lock window, up to LOGIN_LOCK_MAX_MINUTES.
+// Runs as one atomic update, so parallel failed attempts are all counted.
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseMinutes = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+  const maxMinutes = Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60;
+  const now = new Date();
+
+  const lockExpired = { $and: [{ $gt: ['$lockUntil', null] }, { $lte: ['$lockUntil', now] }] };
+  const reachedLimit = { $gte: ['$failedLoginAttempts', maxAttempts] };
+  const lockoutCount = { $ifNull: ['$lockoutCount', 0] };
+  const lockMinutes = { $min: [{ $multiply: [baseMinutes, { $pow: [2, lockoutCount] }] }, maxMinutes] };
+
+  const updated = await this.constructor.findOneAndUpdate({ _id: this._id }, [
+    // Previous lock has expired, start counting again
+    {
+      $set: {
+        failedLoginAttempts: {
+          $add: [{ $cond: [lockExpired, 0, { $ifNull: ['$failedLoginAttempts', 0] }] }, 1]
+        },
+        lockUntil: { $cond: [lockExpired, '$$REMOVE', '$lockUntil'] }
+      }
+    },
+    {
+      $set: {
+        lockUntil: { $cond: [reachedLimit, { $add: [now, { $multiply: [lockMinutes, 60 * 1000] }] }, '$lockUntil'] },
+        lockoutCount: { $cond: [reachedLimit, { $add: [lockoutCount, 1] }, lockoutCount] },
+        failedLoginAttempts: { $cond: [reachedLimit, 0, '$failedLoginAttempts'] }
+      }
+    }
+  ], { new: true, projection: 'failedLoginAttempts lockoutCount lockUntil' });
+
+  if (!updated) {
+    return this;
+  }
+
+  // Mirror the stored state without marking it for a later save
+  ['failedLoginAttempts', 'lockoutCount', 'lockUntil'].forEach((field) => {
+    this.set(field, updated[field]);
+    this.unmarkModified(field);
+  });
+
+  return this;
+};
+
+// Clear failed login state after a successful login
+userSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockoutCount && !this.lockUntil) {
+    return;
+  }
+
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
+  await this.save({ validateBeforeSave: false });
+};
+
+// Generate and hash password reset token
+userSchema.methods.getResetPasswordToken = function() {
+  // Raw token is sent to the user, only its hash is stored
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  const expireMinutes = Number(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 15;
+  this.resetPasswordExpire = Date.now() + expireMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
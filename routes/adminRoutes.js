@@ -1,59 +1,177 @@
 const express = require('express');
 const router = express.Router();
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, protectOrApiKey, authorize } = require('../middleware/authMiddleware');
+const { uploadSpreadsheet } = require('../middleware/upload');
 
 // Import controllers
-const { getUsers, getUserById, deleteUser, getAdminStats } = require('../controllers/userController');
+const {
+  getUsers,
+  getUserById,
+  deleteUser,
+  forceLogoutUser,
+  unlockUser,
+  getUserLoginHistory,
+  impersonateUser,
+  getAdminStats,
+  getRoles,
+  updateUserRole
+} = require('../controllers/userController');
 const { getOrders, updateOrderStatus } = require('../controllers/orderController');
 const { createProduct, updateProduct, deleteProduct } = require('../controllers/productController');
+const { importProducts, exportProducts } = require('../controllers/productImportController');
+const { createKey, getKeys, revokeKey } = require('../controllers/apiKeyController');
+const { getAuditLogs } = require('../controllers/auditController');
+const { getReviewQueue, moderateReview } = require('../controllers/reviewController');
+const {
+  getQuestionQueue,
+  moderateQuestion,
+  getAnswerQueue,
+  moderateAnswer
+} = require('../controllers/questionController');
 
 // ============= DASHBOARD =============
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/stats
-// @access  Private/Admin
-router.get('/stats', protect, admin, getAdminStats);
+// @access  Private (dashboard:read)
+router.get('/stats', protect, authorize('dashboard:read'), getAdminStats);
 
 // ============= USER MANAGEMENT =============
 // @desc    Get all users
 // @route   GET /api/admin/users
-// @access  Private/Admin
-router.get('/users', protect, admin, getUsers);
+// @access  Private (users:read)
+router.get('/users', protect, authorize('users:read'), getUsers);
 
 // @desc    Get user by ID
 // @route   GET /api/admin/users/:id
-// @access  Private/Admin
-router.get('/users/:id', protect, admin, getUserById);
+// @access  Private (users:read)
+router.get('/users/:id', protect, authorize('users:read'), getUserById);
 
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
-// @access  Private/Admin
-router.delete('/users/:id', protect, admin, deleteUser);
+// @access  Private (users:delete)
+router.delete('/users/:id', protect, authorize('users:delete'), deleteUser);
+
+// @desc    Force logout user from all devices
+// @route   POST /api/admin/users/:id/logout
+// @access  Private (users:manage_sessions)
+router.post('/users/:id/logout', protect, authorize('users:manage_sessions'), forceLogoutUser);
+
+// @desc    Unlock user account locked after failed logins
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (users:manage_sessions)
+router.post('/users/:id/unlock', protect, authorize('users:manage_sessions'), unlockUser);
+
+// @desc    Get login history of a user
+// @route   GET /api/admin/users/:id/login-history
+// @access  Private (users:manage_sessions)
+router.get('/users/:id/login-history', protect, authorize('users:manage_sessions'), getUserLoginHistory);
+
+// @desc    Impersonate a customer (read-mostly, audited)
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (users:impersonate)
+router.post('/users/:id/impersonate', protect, authorize('users:impersonate'), impersonateUser);
+
+// ============= ROLES & PERMISSIONS =============
+// @desc    List roles and their permissions
+// @route   GET /api/admin/roles
+// @access  Private (users:assign_roles)
+router.get('/roles', protect, authorize('users:assign_roles'), getRoles);
+
+// @desc    Assign role to user
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (users:assign_roles)
+router.put('/users/:id/role', protect, authorize('users:assign_roles'), updateUserRole);
+
+// ============= API KEYS =============
+// @desc    Create API key for a server-to-server integration
+// @route   POST /api/admin/api-keys
+// @access  Private (api_keys:manage)
+router.post('/api-keys', protect, authorize('api_keys:manage'), createKey);
+
+// @desc    List API keys
+// @route   GET /api/admin/api-keys
+// @access  Private (api_keys:manage)
+router.get('/api-keys', protect, authorize('api_keys:manage'), getKeys);
+
+// @desc    Revoke API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (api_keys:manage)
+router.delete('/api-keys/:id', protect, authorize('api_keys:manage'), revokeKey);
+
+// ============= AUDIT LOG =============
+// @desc    Get audit log entries (filterable, CSV with ?format=csv)
+// @route   GET /api/admin/audit?action=product.&from=2024-01-01&format=csv
+// @access  Private (audit:read)
+router.get('/audit', protect, authorize('audit:read'), getAuditLogs);
+
+// ============= REVIEW MODERATION =============
+// @desc    Get reviews waiting for moderation (or ?status=approved|rejected)
+// @route   GET /api/admin/reviews?status=pending
+// @access  Private (reviews:moderate)
+router.get('/reviews', protect, authorize('reviews:moderate'), getReviewQueue);
+
+// @desc    Approve or reject a review
+// @route   PUT /api/admin/reviews/:id/moderate
+// @access  Private (reviews:moderate)
+router.put('/reviews/:id/moderate', protect, authorize('reviews:moderate'), moderateReview);
+
+// ============= PRODUCT Q&A MODERATION =============
+// @desc    Get questions waiting for moderation (or ?status=approved|rejected)
+// @route   GET /api/admin/questions?status=pending
+// @access  Private (questions:manage)
+router.get('/questions', protect, authorize('questions:manage'), getQuestionQueue);
+
+// @desc    Approve or reject a question
+// @route   PUT /api/admin/questions/:id/moderate
+// @access  Private (questions:manage)
+router.put('/questions/:id/moderate', protect, authorize('questions:manage'), moderateQuestion);
+
+// @desc    Get answers waiting for moderation (or ?status=approved|rejected)
+// @route   GET /api/admin/answers?status=pending
+// @access  Private (questions:manage)
+router.get('/answers', protect, authorize('questions:manage'), getAnswerQueue);
+
+// @desc    Approve or reject an answer
+// @route   PUT /api/admin/answers/:id/moderate
+// @access  Private (questions:manage)
+router.put('/answers/:id/moderate', protect, authorize('questions:manage'), moderateAnswer);
 
 // ============= ORDER MANAGEMENT =============
+// Order and product routes also accept an API key with the matching scope
 // @desc    Get all orders (with optional status filter)
 // @route   GET /api/admin/orders?status=pending
-// @access  Private/Admin
-router.get('/orders', protect, admin, getOrders);
+// @access  Private (orders:read)
+router.get('/orders', protectOrApiKey, authorize('orders:read'), getOrders);
 
 // @desc    Update order status
 // @route   PUT /api/admin/orders/:id/status
-// @access  Private/Admin
-router.put('/orders/:id/status', protect, admin, updateOrderStatus);
+// @access  Private (orders:update_status)
+router.put('/orders/:id/status', protectOrApiKey, authorize('orders:update_status'), updateOrderStatus);
 
 // ============= PRODUCT MANAGEMENT =============
 // @desc    Add new product
 // @route   POST /api/admin/products
-// @access  Private/Admin
-router.post('/products', protect, admin, createProduct);
+// @access  Private (products:write)
+router.post('/products', protectOrApiKey, authorize('products:write'), createProduct);
+
+// @desc    Import products from CSV/XLSX (upsert by SKU, ?dryRun=true to only validate)
+// @route   POST /api/admin/products/import
+// @access  Private (products:write)
+router.post('/products/import', protectOrApiKey, authorize('products:write'), uploadSpreadsheet, importProducts);
+
+// @desc    Export products in the import format
+// @route   GET /api/admin/products/export?format=csv|xlsx
+// @access  Private (products:write)
+router.get('/products/export', protectOrApiKey, authorize('products:write'), exportProducts);
 
 // @desc    Update product
 // @route   PUT /api/admin/products/:id
-// @access  Private/Admin
-router.put('/products/:id', protect, admin, updateProduct);
+// @access  Private (products:write)
+router.put('/products/:id', protectOrApiKey, authorize('products:write'), updateProduct);
 
 // @desc    Delete product
 // @route   DELETE /api/admin/products/:id
-// @access  Private/Admin
-router.delete('/products/:id', protect, admin, deleteProduct);
+// @access  Private (products:write)
+router.delete('/products/:id', protectOrApiKey, authorize('products:write'), deleteProduct);
 
 module.exports = router;
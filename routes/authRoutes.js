@@ -6,16 +6,55 @@ const {
   login, 
   googleAuth,
   googleCallback,
+  googleExchange,
+  requestOtp,
+  verifyOtpLogin,
+  requestMagicLink,
+  verifyMagicLink,
   getProfile, 
-  logout 
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  getMyLoginHistory,
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
-const { authLimiter } = require('../middleware/rateLimiter');
+const {
+  authLimiter,
+  passwordResetLimiter,
+  passwordlessLimiter,
+  verificationEmailLimiter
+} = require('../middleware/rateLimiter');
 
 // Public routes with rate limiting
 router.post('/register', authLimiter, register);
 router.post('/login', authLimiter, login);
 router.post('/google', authLimiter, googleAuth);
+router.post('/refresh', authLimiter, refreshToken);
+router.post('/2fa/verify', authLimiter, verifyTwoFactorLogin);
+
+// Passwordless login routes
+router.post('/otp/request', passwordlessLimiter, requestOtp);
+router.post('/otp/verify', authLimiter, verifyOtpLogin);
+router.post('/magic-link', passwordlessLimiter, requestMagicLink);
+router.post('/magic-link/verify', authLimiter, verifyMagicLink);
+
+// Password reset routes
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+router.post('/reset-password/:token', passwordResetLimiter, resetPassword);
+
+// Email verification routes
+router.get('/verify-email/:token', verifyEmail);
 
 // Google OAuth routes
 router.get('/google', 
@@ -35,8 +74,19 @@ router.get('/google/callback',
   googleCallback
 );
 
+router.post('/google/exchange', authLimiter, googleExchange);
+
 // Protected routes
 router.get('/profile', protect, getProfile);
 router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+router.get('/login-history', protect, getMyLoginHistory);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, authLimiter, enableTwoFactor);
+router.post('/2fa/disable', protect, authLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, authLimiter, regenerateRecoveryCodes);
+router.post('/verify-email/resend', protect, verificationEmailLimiter, resendVerificationEmail);
 
 module.exports = router;
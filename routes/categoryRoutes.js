@@ -5,17 +5,22 @@ const {
   getCategory,
   createCategory,
   updateCategory,
-  deleteCategory
+  deleteCategory,
+  uploadCategoryImage
 } = require('../controllers/categoryController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadImages } = require('../middleware/upload');
 
 router.route('/')
   .get(getCategories)
-  .post(protect, admin, createCategory);
+  .post(protect, authorize('categories:write'), createCategory);
 
 router.route('/:id')
   .get(getCategory)
-  .put(protect, admin, updateCategory)
-  .delete(protect, admin, deleteCategory);
+  .put(protect, authorize('categories:write'), updateCategory)
+  .delete(protect, authorize('categories:write'), deleteCategory);
+
+router.route('/:id/image')
+  .post(protect, authorize('categories:write'), uploadImages('image', 1), uploadCategoryImage);
 
 module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { updateLocation, getLatestLocationByOrder } = require('../controllers/locationController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, protectOrApiKey, authorize } = require('../middleware/authMiddleware');
 
-router.post('/update', updateLocation);
+router.post('/update', protectOrApiKey, authorize('location:write'), updateLocation);
 router.get('/:orderId/latest', protect, getLatestLocationByOrder);
 
 module.exports = router;
\ No newline at end of file
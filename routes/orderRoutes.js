@@ -9,18 +9,18 @@ const {
   trackOrder,
   generateInvoice
 } = require('../controllers/orderController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const { createOrderLimiter } = require('../middleware/rateLimiter');
 const { validateRequest, validateOrder } = require('../utils/validation');
 
 router.route('/create')
-  .post(protect, createOrderLimiter, validateRequest(validateOrder), createOrder);
+  .post(protect, requireVerifiedEmail, createOrderLimiter, validateRequest(validateOrder), createOrder);
 
 router.route('/my')
   .get(protect, getMyOrders);
 
 router.route('/')
-  .get(protect, admin, getOrders);
+  .get(protect, authorize('orders:read'), getOrders);
 
 router.route('/:id')
   .get(protect, getOrderById);
@@ -29,7 +29,7 @@ router.route('/:id/invoice')
   .get(protect, generateInvoice);
 
 router.route('/:id/status')
-  .put(protect, admin, updateOrderStatus);
+  .put(protect, authorize('orders:update_status'), updateOrderStatus);
 
 router.route('/:id/track')
   .get(protect, trackOrder);
@@ -6,25 +6,42 @@ const {
   createProduct,
   updateProduct,
   deleteProduct,
-  createReview,
-  searchProducts
+  searchProducts,
+  autocompleteProducts,
+  uploadProductImages,
+  deleteProductImage
 } = require('../controllers/productController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { getProductReviews, createReview } = require('../controllers/reviewController');
+const { getProductQuestions, createQuestion } = require('../controllers/questionController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadImages } = require('../middleware/upload');
 const { validateRequest, validateProduct } = require('../utils/validation');
 
-// Search route (must come before :id routes)
+// Search routes (must come before :id routes)
 router.get('/search', searchProducts);
+router.get('/autocomplete', autocompleteProducts);
 
 router.route('/')
   .get(getProducts)
-  .post(protect, admin, validateRequest(validateProduct), createProduct);
+  .post(protect, authorize('products:write'), validateRequest(validateProduct), createProduct);
 
 router.route('/:id')
   .get(getProduct)
-  .put(protect, admin, validateRequest(validateProduct), updateProduct)
-  .delete(protect, admin, deleteProduct);
+  .put(protect, authorize('products:write'), validateRequest(validateProduct), updateProduct)
+  .delete(protect, authorize('products:write'), deleteProduct);
+
+router.route('/:id/images')
+  .post(protect, authorize('products:write'), uploadImages('images', 5), uploadProductImages);
+
+router.route('/:id/images/:imageId')
+  .delete(protect, authorize('products:write'), deleteProductImage);
 
 router.route('/:id/reviews')
+  .get(getProductReviews)
   .post(protect, createReview);
 
+router.route('/:id/questions')
+  .get(getProductQuestions)
+  .post(protect, createQuestion);
+
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  deleteQuestion,
+  getQuestionAnswers,
+  createAnswer,
+  deleteAnswer,
+  upvoteAnswer,
+  removeAnswerUpvote
+} = require('../controllers/questionController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Questions are asked and listed under /api/products/:id/questions
+router.route('/:id')
+  .delete(protect, deleteQuestion);
+
+router.route('/:id/answers')
+  .get(getQuestionAnswers)
+  .post(protect, createAnswer);
+
+router.route('/answers/:id')
+  .delete(protect, deleteAnswer);
+
+router.route('/answers/:id/upvote')
+  .put(protect, upvoteAnswer)
+  .delete(protect, removeAnswerUpvote);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  updateReview,
+  deleteReview,
+  voteReview,
+  removeReviewVote
+} = require('../controllers/reviewController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Reviews are created and listed under /api/products/:id/reviews
+router.route('/:id')
+  .put(protect, updateReview)
+  .delete(protect, deleteReview);
+
+router.route('/:id/vote')
+  .put(protect, voteReview)
+  .delete(protect, removeReviewVote);
+
+module.exports = router;
@@ -4,18 +4,26 @@ const {
   getUsers,
   getUserById,
   updateProfile,
-  deleteUser
+  deleteUser,
+  exportMyData,
+  deleteMyAccount
 } = require('../controllers/userController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 router.route('/')
-  .get(protect, admin, getUsers);
+  .get(protect, authorize('users:read'), getUsers);
 
 router.route('/profile')
   .put(protect, updateProfile);
 
+router.route('/me')
+  .delete(protect, deleteMyAccount);
+
+router.route('/me/export')
+  .get(protect, exportMyData);
+
 router.route('/:id')
-  .get(protect, admin, getUserById)
-  .delete(protect, admin, deleteUser);
+  .get(protect, authorize('users:read'), getUserById)
+  .delete(protect, authorize('users:delete'), deleteUser);
 
 module.exports = router;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Product = require('./models/Product');
+const Category = require('./models/Category');
 require('dotenv').config();
 
 const products = [
@@ -125,7 +126,24 @@ async function seedProducts() {
     await Product.deleteMany({});
     console.log('🗑️  Cleared existing products');
 
-    const createdProducts = await Product.insertMany(products);
+    // Products reference categories by ID, so make sure every top-level category exists
+    const categoryIds = {};
+    const categoryNames = [...new Set(products.map(product => product.category))];
+
+    for (const [index, name] of categoryNames.entries()) {
+      let category = await Category.findOne({ name, parent: null });
+
+      if (!category) {
+        category = await Category.create({ name, sortOrder: index });
+        console.log(`📁 Created category ${name}`);
+      }
+
+      categoryIds[name] = category._id;
+    }
+
+    const createdProducts = await Product.insertMany(
+      products.map(product => ({ ...product, category: categoryIds[product.category] }))
+    );
     console.log(`✅ Successfully seeded ${createdProducts.length} products!`);
 
     process.exit(0);
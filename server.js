@@ -16,6 +16,7 @@ const errorHandler = require('./middleware/errorHandler');
 const { apiLimiter } = require('./middleware/rateLimiter');
 const ensureDbConnection = require('./middleware/dbCheck');
 const { setIo, registerSocketHandlers } = require('./utils/socket');
+const { getLocalUploadDir } = require('./utils/storage');
 
 dotenv.config();
 
@@ -109,9 +110,13 @@ const corsOptions = {
     'Content-Type',
     'Authorization',
     'Accept',
-    'X-Requested-With'
+    'X-Requested-With',
+    'X-API-Key'
   ],
 
+  // Next/prev page links of list endpoints
+  exposedHeaders: ['Link'],
+
   optionsSuccessStatus: 200
 };
 
@@ -204,12 +209,23 @@ if (process.env.NODE_ENV !== 'production') {
 // ROUTES
 // =====================================================
 
+// Uploaded images (local storage only); file names are random, so they can be cached forever
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(getLocalUploadDir(), {
+    index: false,
+    immutable: true,
+    maxAge: '1y'
+  }));
+}
+
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/products', require('./routes/productRoutes'));
 app.use('/api/location', require('./routes/locationRoutes'));
 app.use('/api/orders', require('./routes/orderRoutes'));
 app.use('/api/categories', require('./routes/categoryRoutes'));
+app.use('/api/reviews', require('./routes/reviewRoutes'));
+app.use('/api/questions', require('./routes/questionRoutes'));
 app.use('/api/cart', require('./routes/cartRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
 
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * API Key Service
+ * Keys look like `om_<prefix>_<secret>`. The prefix is stored in clear to
+ * find the key and to show it in listings; the full key is stored hashed.
+ */
+
+const KEY_PATTERN = /^om_([a-f0-9]{8})_([A-Za-z0-9_-]{32})$/;
+
+// Only persist lastUsedAt this often to avoid a write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create a new API key
+ * @param {object} options - { name, scopes, expiresAt, createdBy }
+ * @returns {Promise<object>} - { apiKey, key } (plain key is only available here)
+ */
+exports.createApiKey = async ({ name, scopes, expiresAt, createdBy }) => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `om_${prefix}_${secret}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Look up an active API key from its plain value
+ * @param {string} key - Key from the X-API-Key header
+ * @param {string} [ipAddress] - Caller IP for last-used tracking
+ * @returns {Promise<object|null>} - ApiKey document or null
+ */
+exports.verifyApiKey = async (key, ipAddress) => {
+  const match = KEY_PATTERN.exec(key || '');
+
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1] }).select('+keyHash');
+
+  if (!apiKey || !apiKey.isActive()) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+    );
+  }
+
+  return apiKey;
+};
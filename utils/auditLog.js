@@ -0,0 +1,91 @@
+const AuditLog = require('../models/AuditLog');
+const { getClientInfo } = require('./tokenService');
+
+/**
+ * Audit Log Service
+ * Audit writes never fail the request they describe; errors are only logged.
+ */
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const toPlain = (doc) => {
+  if (!doc) {
+    return {};
+  }
+
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compute a field-level diff between two versions of a document
+ * Pass null as `before` for creations and as `after` for deletions.
+ * @param {object|null} before - Document or plain object before the change
+ * @param {object|null} after - Document or plain object after the change
+ * @param {object} [options] - { fields: only these fields, omit: skip these fields }
+ * @returns {object} - { field: { from, to } } for every changed field
+ */
+exports.diffChanges = (before, after, options = {}) => {
+  const from = toPlain(before);
+  const to = toPlain(after);
+  const omit = [...IGNORED_FIELDS, ...(options.omit || [])];
+
+  const fields = options.fields || [...new Set([...Object.keys(from), ...Object.keys(to)])];
+  const changes = {};
+
+  for (const field of fields) {
+    if (omit.includes(field) || isEqual(from[field], to[field])) {
+      continue;
+    }
+
+    changes[field] = { from: from[field], to: to[field] };
+  }
+
+  return changes;
+};
+
+/**
+ * Record an audit entry
+ * @param {object} req - Express request (actor, API key, IP and user agent are read from it)
+ * @param {object} entry - { action, targetType, targetId, changes, statusCode, metadata }
+ * @returns {Promise<object|null>} - Created AuditLog or null on failure
+ */
+exports.recordAudit = async (req, entry) => {
+  const { userAgent, ipAddress } = getClientInfo(req);
+  const actor = req.actor || req.user;
+
+  try {
+    return await AuditLog.create({
+      actor: actor ? actor._id : undefined,
+      apiKey: req.apiKey ? req.apiKey._id : undefined,
+      impersonatedUser: req.impersonating ? req.user._id : undefined,
+      method: req.method,
+      path: req.originalUrl,
+      ipAddress,
+      userAgent,
+      ...entry,
+      targetId: entry.targetId ? String(entry.targetId) : undefined
+    });
+  } catch (error) {
+    console.error('❌ Audit log error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Record every request made with an impersonation token once it completes
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ */
+exports.auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    exports.recordAudit(req, {
+      action: 'impersonation.request',
+      targetType: 'User',
+      targetId: req.user._id,
+      statusCode: res.statusCode
+    });
+  });
+};
@@ -0,0 +1,100 @@
+/**
+ * CSV helpers
+ * Exports neutralize spreadsheet formulas (=, +, -, @) by prefixing a quote;
+ * parseCsv strips that prefix again so exported files can be imported unchanged.
+ */
+
+const FORMULA_PATTERN = /^[=+\-@]/;
+
+/**
+ * Quote a single CSV cell
+ * @param {*} value - Cell value (dates are written as ISO strings)
+ * @returns {string} - Escaped cell
+ */
+exports.toCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Neutralize spreadsheet formulas
+  if (FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} columns - Header row, also the keys read from each row
+ * @param {Array<object>} rows - Plain objects
+ * @returns {string} - CSV text
+ */
+exports.toCsv = (columns, rows) => {
+  return [
+    columns.join(','),
+    ...rows.map((row) => columns.map((column) => exports.toCsvCell(row[column])).join(','))
+  ].join('\n');
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may contain commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells, blank lines skipped
+ */
+exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endCell = () => {
+    // Undo formula neutralization from toCsvCell
+    row.push(/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Google ID Token Verification
+ * Verifies signature, audience, issuer and expiry of Google Sign-In ID tokens.
+ * Keys come from GOOGLE_JWKS_URI (Google's JWKS endpoint by default) or,
+ * for tests and offline development, from a local key set in GOOGLE_JWKS_FILE.
+ */
+
+const DEFAULT_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_CACHE_MS = 60 * 60 * 1000; // 1 hour
+const API_TIMEOUT = 5000;
+// Unknown key IDs force a refetch at most this often, so forged tokens cannot hammer the JWKS endpoint
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+let cachedKeys = null;
+let cacheExpiresAt = 0;
+let lastFetchAt = 0;
+
+const invalidToken = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Read cache lifetime from a Cache-Control header
+ * @param {string} cacheControl - Cache-Control header value
+ * @returns {number} - Lifetime in milliseconds
+ */
+const getMaxAge = (cacheControl) => {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return match ? Number(match[1]) * 1000 : DEFAULT_CACHE_MS;
+};
+
+/**
+ * Load the JSON Web Key Set (cached)
+ * @param {boolean} [forceRefresh] - Ignore the cache (e.g. unknown key ID after rotation)
+ * @returns {Promise<Array>} - Array of JWKs
+ */
+const loadKeys = async (forceRefresh = false) => {
+  if (!forceRefresh && cachedKeys && Date.now() < cacheExpiresAt) {
+    return cachedKeys;
+  }
+
+  // Set before fetching so concurrent requests also wait for the cooldown
+  lastFetchAt = Date.now();
+
+  if (process.env.GOOGLE_JWKS_FILE) {
+    const jwks = JSON.parse(await fs.promises.readFile(process.env.GOOGLE_JWKS_FILE, 'utf8'));
+    cachedKeys = jwks.keys || [];
+    cacheExpiresAt = Date.now() + DEFAULT_CACHE_MS;
+    return cachedKeys;
+  }
+
+  const response = await axios.get(process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI, {
+    timeout: API_TIMEOUT
+  });
+
+  cachedKeys = (response.data && response.data.keys) || [];
+  cacheExpiresAt = Date.now() + getMaxAge(response.headers['cache-control']);
+
+  return cachedKeys;
+};
+
+/**
+ * Find the public key used to sign a token
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject|null>} - Public key or null
+ */
+const getSigningKey = async (kid) => {
+  let jwk = (await loadKeys()).find((key) => key.kid === kid);
+
+  // Google rotates keys; refetch once before giving up (unless keys were just fetched)
+  if (!jwk && Date.now() - lastFetchAt >= MIN_REFETCH_INTERVAL_MS) {
+    jwk = (await loadKeys(true)).find((key) => key.kid === kid);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+/**
+ * Verify a Google ID token
+ * @param {string} idToken - ID token (the `credential` from Google Sign-In)
+ * @returns {Promise<object>} - Verified payload (sub, email, email_verified, name, picture)
+ */
+exports.verifyGoogleIdToken = async (idToken) => {
+  const audience = (process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (audience.length === 0) {
+    throw new Error('GOOGLE_CLIENT_ID must be set to verify Google ID tokens');
+  }
+
+  const decoded = jwt.decode(idToken || '', { complete: true });
+
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw invalidToken('Invalid Google ID token');
+  }
+
+  let key;
+
+  try {
+    key = await getSigningKey(decoded.header.kid);
+  } catch (err) {
+    console.error('❌ Google JWKS Error:', err.message);
+    const error = new Error('Unable to verify Google ID token, please try again');
+    error.statusCode = 503;
+    throw error;
+  }
+
+  if (!key) {
+    throw invalidToken('Invalid Google ID token');
+  }
+
+  try {
+    return jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience,
+      issuer: GOOGLE_ISSUERS
+    });
+  } catch (err) {
+    throw invalidToken(
+      err.name === 'TokenExpiredError' ? 'Google ID token has expired' : 'Invalid Google ID token'
+    );
+  }
+};
+
+/**
+ * Drop cached keys (e.g. after changing GOOGLE_JWKS_FILE in tests)
+ */
+exports.clearKeyCache = () => {
+  cachedKeys = null;
+  cacheExpiresAt = 0;
+};
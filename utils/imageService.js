@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { saveFile, deleteFiles } = require('./storage');
+
+/**
+ * Image Service
+ * Validates uploaded images by decoding them, then stores WebP renditions
+ * (large, medium, thumbnail) through the storage backend.
+ */
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Refuse decompression bombs before decoding the pixels
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const RENDITIONS = {
+  large: { width: 1600, height: 1600, fit: 'inside' },
+  medium: { width: 800, height: 800, fit: 'inside' },
+  thumbnail: { width: 200, height: 200, fit: 'cover' }
+};
+
+const invalidImage = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Create renditions of an uploaded image and store them
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} folder - Storage folder, e.g. `products/<id>`
+ * @returns {Promise<object>} - ImageAsset data { url, mediumUrl, thumbnailUrl, width, height, files }
+ */
+exports.storeImage = async (buffer, folder) => {
+  let metadata;
+
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw invalidImage('File is not a valid image');
+  }
+
+  // The client-supplied MIME type is only a hint, check what was actually decoded
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw invalidImage('Only JPEG, PNG and WebP images are allowed');
+  }
+
+  const renditions = {};
+
+  try {
+    for (const [name, { width, height, fit }] of Object.entries(RENDITIONS)) {
+      // rotate() applies EXIF orientation; metadata (EXIF, GPS) is not copied to the output
+      renditions[name] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+    }
+  } catch (error) {
+    throw invalidImage('Could not process image');
+  }
+
+  const baseName = crypto.randomBytes(12).toString('hex');
+  const stored = {};
+
+  try {
+    for (const [name, { data, info }] of Object.entries(renditions)) {
+      stored[name] = {
+        ...(await saveFile(`${folder}/${baseName}-${name}.webp`, data, 'image/webp')),
+        width: info.width,
+        height: info.height
+      };
+    }
+  } catch (error) {
+    // Do not leave a partial set of renditions behind
+    await deleteFiles(Object.values(stored).map((file) => file.key));
+    throw error;
+  }
+
+  return {
+    url: stored.large.url,
+    mediumUrl: stored.medium.url,
+    thumbnailUrl: stored.thumbnail.url,
+    width: stored.large.width,
+    height: stored.large.height,
+    files: Object.values(stored).map((file) => file.key)
+  };
+};
+
+/**
+ * Delete the stored files of image assets (best effort)
+ * @param {Array<object>} assets - ImageAsset documents or data from storeImage
+ */
+exports.deleteImages = async (assets) => {
+  const keys = assets.filter(Boolean).flatMap((asset) => asset.files || []);
+
+  if (keys.length > 0) {
+    await deleteFiles(keys);
+  }
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const LoginEvent = require('../models/LoginEvent');
+const { sendEmail } = require('./sendEmail');
+const { getClientInfo } = require('./tokenService');
+const { paginate } = require('./pagination');
+
+/**
+ * Login History Service
+ * Records every login attempt and flags successful logins from new devices.
+ */
+
+/**
+ * Identify a device by its user agent
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - SHA-256 device hash
+ */
+const getDeviceHash = (userAgent) => {
+  return crypto.createHash('sha256').update(userAgent || 'Unknown').digest('hex');
+};
+
+/**
+ * Email the user about a login from a device we have not seen before
+ * @param {object} user - User document
+ * @param {object} event - LoginEvent document
+ */
+const notifyNewDevice = async (user, event) => {
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'New sign-in to your OrganicMart account',
+      text: `Hi ${user.name},\n\nYour account was just signed in from a new device.\n\n` +
+        `Device: ${event.userAgent}\nIP address: ${event.ipAddress}\nTime: ${event.createdAt.toISOString()}\n\n` +
+        'If this was you, no action is needed. Otherwise, reset your password and sign out of all sessions.'
+    });
+  } catch (err) {
+    console.error('❌ New device notification error:', err.message);
+  }
+};
+
+/**
+ * Record a login attempt
+ * @param {object} req - Express request
+ * @param {object} details - { user, email, outcome, method }
+ * @returns {Promise<object>} - Created LoginEvent
+ */
+exports.recordLoginEvent = async (req, { user, email, outcome, method = 'password' }) => {
+  const { userAgent, ipAddress } = getClientInfo(req);
+  const deviceHash = getDeviceHash(userAgent);
+
+  let newDevice = false;
+
+  // First successful login ever is not a "new device", it is the baseline
+  if (user && outcome === 'success') {
+    const [knownDevice, previousSuccess] = await Promise.all([
+      LoginEvent.exists({ user: user._id, deviceHash, outcome: 'success' }),
+      LoginEvent.exists({ user: user._id, outcome: 'success' })
+    ]);
+
+    newDevice = Boolean(previousSuccess) && !knownDevice;
+  }
+
+  const event = await LoginEvent.create({
+    user: user ? user._id : undefined,
+    email: user ? user.email : email,
+    method,
+    outcome,
+    ipAddress,
+    userAgent,
+    deviceHash,
+    newDevice
+  });
+
+  if (newDevice) {
+    await notifyNewDevice(user, event);
+  }
+
+  return event;
+};
+
+/**
+ * Get one page of login history for a user
+ * @param {object} req - Express request (limit, cursor, page and withTotal are read from req.query)
+ * @param {string} userId - User ID
+ * @param {number} [defaultLimit] - Events per page when no limit is given
+ * @returns {Promise<object>} - { data, pagination } with LoginEvent documents, newest first
+ */
+exports.getLoginHistory = async (req, userId, defaultLimit = 20) => {
+  return paginate(req, LoginEvent, { user: userId }, {
+    sort: { createdAt: -1 },
+    defaultLimit,
+    build: (events) => events.select('-deviceHash')
+  });
+};
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+
+/**
+ * Pagination
+ * Shared paging for list endpoints. Pages are addressed with opaque cursors (keyset pagination
+ * on the sort fields plus _id), so inserts between requests never shift or repeat items.
+ * `?page=` keeps offset paging for older clients. Totals cost an extra count and are only
+ * returned with `?withTotal=true` or in page mode.
+ *
+ * Sort fields used with cursors must always have a value (no null/missing).
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor, start again from the first page');
+  error.statusCode = 400;
+  return error;
+};
+
+// Keep Date and ObjectId values typed through JSON
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { d: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { o: value.toString() };
+  }
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.d === 'string' && !Number.isNaN(Date.parse(value.d))) {
+    return new Date(value.d);
+  }
+  if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  throw invalidCursor();
+};
+
+const getValue = (item, field) => {
+  if (typeof item.get === 'function') {
+    return item.get(field);
+  }
+  return field.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), item);
+};
+
+// Sort as [[field, 1 | -1]], always ending with _id so every position is unique
+const normalizeSort = (sort) => {
+  const entries = Object.entries(sort).map(([field, direction]) => [field, direction < 0 ? -1 : 1]);
+
+  if (!entries.some(([field]) => field === '_id')) {
+    entries.push(['_id', entries.length > 0 ? entries[entries.length - 1][1] : -1]);
+  }
+
+  return entries;
+};
+
+const getSortSignature = (sort) => sort.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const encodeCursor = (item, sort, direction) => {
+  const payload = {
+    s: getSortSignature(sort),
+    k: sort.map(([field]) => encodeValue(getValue(item, field))),
+    d: direction
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  // A cursor only makes sense for the sort order it was created with
+  if (!payload || payload.s !== getSortSignature(sort) || !Array.isArray(payload.k) ||
+    payload.k.length !== sort.length || !['next', 'prev'].includes(payload.d)) {
+    throw invalidCursor();
+  }
+
+  return { values: payload.k.map(decodeValue), direction: payload.d };
+};
+
+/**
+ * Read paging parameters from the query string
+ * @param {object} query - req.query (limit, cursor, page, withTotal)
+ * @param {object} sort - Sort order, e.g. { createdAt: -1 }
+ * @param {object} [options] - { defaultLimit, maxLimit }
+ * @returns {object} - Page request used by the other helpers
+ */
+exports.getPageRequest = (query, sort, options = {}) => {
+  const { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = options;
+  const normalizedSort = normalizeSort(sort);
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const cursor = query.cursor ? decodeCursor(query.cursor, normalizedSort) : null;
+  const page = !cursor && query.page !== undefined ? Math.max(parseInt(query.page, 10) || 1, 1) : null;
+
+  return {
+    sort: normalizedSort,
+    limit,
+    cursor,
+    page,
+    withTotal: page !== null || query.withTotal === 'true'
+  };
+};
+
+/**
+ * Condition selecting the items after (or before) the cursor
+ * @param {object} pageRequest - From getPageRequest
+ * @returns {object} - MongoDB filter ({} on the first page)
+ */
+exports.getCursorFilter = ({ sort, cursor }) => {
+  if (!cursor) {
+    return {};
+  }
+
+  const backwards = cursor.direction === 'prev';
+
+  // (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND _id > z), flipped for descending fields
+  return {
+    $or: sort.map(([field, direction], index) => {
+      const condition = {};
+
+      sort.slice(0, index).forEach(([previousField], previousIndex) => {
+        condition[previousField] = cursor.values[previousIndex];
+      });
+
+      const ascending = (direction === 1) !== backwards;
+      condition[field] = { [ascending ? '$gt' : '$lt']: cursor.values[index] };
+
+      return condition;
+    })
+  };
+};
+
+/**
+ * Sort for the query; reversed when paging backwards
+ * @param {object} pageRequest - From getPageRequest
+ * @returns {object} - Sort object
+ */
+exports.getQuerySort = ({ sort, cursor }) => {
+  const backwards = cursor && cursor.direction === 'prev';
+  return Object.fromEntries(sort.map(([field, direction]) => [field, backwards ? -direction : direction]));
+};
+
+/**
+ * Number of items to skip (offset paging only)
+ * @param {object} pageRequest - From getPageRequest
+ * @returns {number} - Items to skip
+ */
+exports.getSkip = ({ page, limit }) => (page ? (page - 1) * limit : 0);
+
+/**
+ * Turn the fetched items (limit + 1 of them) into a page
+ * @param {Array} items - Items fetched with getCursorFilter, getQuerySort, getSkip and limit + 1
+ * @param {object} pageRequest - From getPageRequest
+ * @param {number|null} [total] - Total count, when requested
+ * @returns {object} - { data, pagination }
+ */
+exports.buildPage = (items, pageRequest, total = null) => {
+  const { sort, limit, cursor, page } = pageRequest;
+  const backwards = Boolean(cursor) && cursor.direction === 'prev';
+  const hasMore = items.length > limit;
+
+  const data = items.slice(0, limit);
+  if (backwards) {
+    data.reverse();
+  }
+
+  // Paging backwards means we came from a later page
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor) || (page !== null && page > 1);
+
+  const pagination = {
+    limit,
+    hasNext,
+    hasPrev,
+    nextCursor: hasNext && data.length > 0 ? encodeCursor(data[data.length - 1], sort, 'next') : null,
+    prevCursor: hasPrev && data.length > 0 ? encodeCursor(data[0], sort, 'prev') : null
+  };
+
+  if (total !== null) {
+    pagination.total = total;
+  }
+
+  if (page !== null) {
+    pagination.page = page;
+    pagination.pages = Math.ceil(total / limit);
+  }
+
+  return { data, pagination };
+};
+
+/**
+ * Fetch one page of a find() query
+ * @param {object} req - Express request (paging parameters are read from req.query)
+ * @param {object} Model - Mongoose model
+ * @param {object} filter - MongoDB filter
+ * @param {object} options - { sort, defaultLimit, maxLimit, build: (query) => query for select/populate }
+ * @returns {Promise<object>} - { data, pagination }
+ */
+exports.paginate = async (req, Model, filter, options) => {
+  const { sort, build = (query) => query } = options;
+  const pageRequest = exports.getPageRequest(req.query, sort, options);
+  const cursorFilter = exports.getCursorFilter(pageRequest);
+
+  const [items, total] = await Promise.all([
+    build(Model.find(pageRequest.cursor ? { $and: [filter, cursorFilter] } : filter))
+      .sort(exports.getQuerySort(pageRequest))
+      .skip(exports.getSkip(pageRequest))
+      .limit(pageRequest.limit + 1),
+    pageRequest.withTotal ? Model.countDocuments(filter) : null
+  ]);
+
+  return exports.buildPage(items, pageRequest, total);
+};
+
+/**
+ * Send a page in the standard list envelope, with a `Link` header for next/prev
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} page - { data, pagination } from paginate or buildPage
+ * @param {object} [extra] - Additional top-level response fields
+ */
+exports.sendPage = (req, res, { data, pagination }, extra = {}) => {
+  const links = [];
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  url.searchParams.delete('page');
+
+  for (const [rel, cursor] of [['next', pagination.nextCursor], ['prev', pagination.prevCursor]]) {
+    if (cursor) {
+      url.searchParams.set('cursor', cursor);
+      links.push(`<${url.toString()}>; rel="${rel}"`);
+    }
+  }
+
+  if (links.length > 0) {
+    res.set('Link', links.join(', '));
+  }
+
+  // total/page/pages stay at the top level for clients written against offset paging
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    ...(pagination.total !== undefined && { total: pagination.total }),
+    ...(pagination.page !== undefined && { page: pagination.page, pages: pagination.pages }),
+    ...extra,
+    pagination,
+    data
+  });
+};
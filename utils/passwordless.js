@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const LoginToken = require('../models/LoginToken');
+const User = require('../models/User');
+
+/**
+ * Passwordless Login Service
+ * Phone OTP codes and email magic links. Each user has at most one pending
+ * token per channel; requesting a new one replaces the previous token.
+ */
+
+const OTP_DIGITS = 6;
+
+// Minimum delay between two tokens for the same user and channel
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const getOtpExpireMinutes = () => Number(process.env.OTP_EXPIRE_MINUTES) || 5;
+
+const getOtpMaxAttempts = () => Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+const getMagicLinkExpireMinutes = () => Number(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+// Keyed hash so short OTP codes cannot be brute-forced from a database dump
+const hashToken = (token) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(String(token))
+    .digest('hex');
+};
+
+/**
+ * Normalize a phone number for storage and lookup (strips spaces, dashes, dots and brackets)
+ * @param {string} phone - Phone number as entered
+ * @returns {string} - Normalized phone number
+ */
+exports.normalizePhone = (phone) => String(phone || '').trim().replace(/[\s().-]/g, '');
+
+/**
+ * Find the account that logs in with a phone number
+ * The account that verified the number always wins (at most one can, see the User index),
+ * so saving someone else's number on a profile cannot take over or block their SMS login.
+ * Unverified numbers shared by several accounts are ambiguous and never match.
+ * @param {string} phone - Phone number
+ * @returns {Promise<object|null>} - User document or null
+ */
+exports.findUserByPhone = async (phone) => {
+  const users = await User.find({ phone: exports.normalizePhone(phone) })
+    .sort({ isPhoneVerified: -1 })
+    .limit(2);
+
+  if (users.length > 0 && users[0].isPhoneVerified) {
+    return users[0];
+  }
+
+  return users.length === 1 ? users[0] : null;
+};
+
+/**
+ * Create a login token for a user, replacing any pending one on the same channel
+ * @param {object} user - User document
+ * @param {string} channel - 'sms' (OTP code) or 'email' (magic link)
+ * @returns {Promise<string|null>} - Plain code/token, or null if one was issued too recently
+ */
+exports.issueLoginToken = async (user, channel) => {
+  const recent = await LoginToken.exists({
+    user: user._id,
+    channel,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) }
+  });
+
+  if (recent) {
+    return null;
+  }
+
+  await LoginToken.deleteMany({ user: user._id, channel });
+
+  const token = channel === 'sms'
+    ? crypto.randomInt(0, 10 ** OTP_DIGITS).toString().padStart(OTP_DIGITS, '0')
+    : crypto.randomBytes(32).toString('hex');
+
+  const expireMinutes = channel === 'sms' ? getOtpExpireMinutes() : getMagicLinkExpireMinutes();
+
+  await LoginToken.create({
+    user: user._id,
+    channel,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expireMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Drop a user's pending token on a channel (e.g. when delivery failed)
+ * @param {object} user - User document
+ * @param {string} channel - 'sms' or 'email'
+ */
+exports.discardLoginToken = async (user, channel) => {
+  await LoginToken.deleteMany({ user: user._id, channel });
+};
+
+/**
+ * Check an OTP code for a user (deleted on success or once attempts run out)
+ * @param {object} user - User document
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>} - True if the code was valid
+ */
+exports.verifyOtp = async (user, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${OTP_DIGITS}}$`).test(normalized)) {
+    return false;
+  }
+
+  // Count the attempt atomically before comparing, so parallel guesses cannot exceed the limit
+  const token = await LoginToken.findOneAndUpdate(
+    {
+      user: user._id,
+      channel: 'sms',
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: getOtpMaxAttempts() }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!token) {
+    return false;
+  }
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashToken(normalized)),
+    Buffer.from(token.tokenHash)
+  );
+
+  if (!matches) {
+    if (token.attempts >= getOtpMaxAttempts()) {
+      await LoginToken.deleteOne({ _id: token._id });
+    }
+    return false;
+  }
+
+  // Single use: only the request that deletes the token wins
+  const consumed = await LoginToken.findOneAndDelete({ _id: token._id });
+  return Boolean(consumed);
+};
+
+/**
+ * Redeem a magic link token (deleted on first use)
+ * @param {string} token - Plain token from the emailed link
+ * @returns {Promise<object|null>} - User document or null if invalid/expired/used
+ */
+exports.consumeMagicLink = async (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const loginToken = await LoginToken.findOneAndDelete({
+    channel: 'email',
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!loginToken) {
+    return null;
+  }
+
+  return User.findById(loginToken.user);
+};
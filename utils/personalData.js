@@ -0,0 +1,153 @@
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Review = require('../models/Review');
+const ReviewVote = require('../models/ReviewVote');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const LoginEvent = require('../models/LoginEvent');
+const LoginToken = require('../models/LoginToken');
+const { getMySQLPool, ensureLocationTable } = require('../config/mysql');
+const { revokeAllSessions } = require('./tokenService');
+
+/**
+ * Personal Data Service
+ * Data export and account anonymization for data-protection requests.
+ */
+
+const DELETED_USER_NAME = 'Deleted User';
+
+/**
+ * Fetch delivery location updates recorded for a set of orders
+ * @param {Array<string>} orderIds - Order IDs
+ * @returns {Promise<Array>} - Location rows (empty if MySQL is unavailable)
+ */
+const getLocationHistory = async (orderIds) => {
+  if (orderIds.length === 0) {
+    return [];
+  }
+
+  try {
+    await ensureLocationTable();
+    const pool = getMySQLPool();
+    const placeholders = orderIds.map(() => '?').join(', ');
+
+    const [rows] = await pool.execute(
+      `SELECT order_id, latitude, longitude, location_timestamp
+       FROM order_locations
+       WHERE order_id IN (${placeholders})
+       ORDER BY location_timestamp ASC`,
+      orderIds
+    );
+
+    return rows.map((row) => ({
+      orderId: row.order_id,
+      latitude: Number(row.latitude),
+      longitude: Number(row.longitude),
+      timestamp: row.location_timestamp
+    }));
+  } catch (error) {
+    console.error('❌ Location history export error:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Collect everything we store about a user
+ * @param {object} user - User document
+ * @returns {Promise<object>} - Export archive
+ */
+exports.exportUserData = async (user) => {
+  const [orders, cart, userReviews, reviewVotes, questions, answers, loginHistory] = await Promise.all([
+    Order.find({ userId: user._id }).sort('createdAt').lean(),
+    Cart.findOne({ userId: user._id }).populate('items.productId', 'name price').lean(),
+    Review.find({ user: user._id }).populate('product', 'name').sort('createdAt').lean(),
+    ReviewVote.find({ user: user._id }).select('review helpful createdAt').sort('createdAt').lean(),
+    Question.find({ user: user._id }).select('product text status createdAt').sort('createdAt').lean(),
+    Answer.find({ user: user._id }).select('question product text status createdAt').sort('createdAt').lean(),
+    LoginEvent.find({ user: user._id }).select('-deviceHash').sort('-createdAt').lean()
+  ]);
+
+  const reviews = userReviews.map((review) => ({
+    productId: review.product ? review.product._id : null,
+    productName: review.product ? review.product.name : null,
+    rating: review.rating,
+    comment: review.comment,
+    status: review.status,
+    verifiedPurchase: review.verifiedPurchase,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  }));
+
+  const locationHistory = await getLocationHistory(orders.map((order) => order._id.toString()));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      pendingEmail: user.pendingEmail,
+      phone: user.phone,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      googleLinked: Boolean(user.googleId),
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    addresses: [
+      user.address,
+      ...orders.map((order) => order.address)
+    ].filter(Boolean),
+    orders,
+    cart: cart ? cart.items : [],
+    reviews,
+    reviewVotes,
+    questions,
+    answers,
+    locationHistory,
+    loginHistory
+  };
+};
+
+/**
+ * Remove personal data while keeping orders for accounting
+ * Orders keep their snapshot of products, totals and shipping address.
+ * @param {object} user - User document
+ * @returns {Promise<object>} - Anonymized user document
+ */
+exports.anonymizeUser = async (user) => {
+  await Promise.all([
+    revokeAllSessions(user._id, 'user_inactive'),
+    Cart.deleteMany({ userId: user._id }),
+    LoginEvent.deleteMany({ user: user._id }),
+    LoginToken.deleteMany({ user: user._id }),
+    Review.updateMany({ user: user._id }, { $set: { name: DELETED_USER_NAME } }),
+    Question.updateMany({ user: user._id }, { $set: { name: DELETED_USER_NAME } }),
+    Answer.updateMany({ user: user._id }, { $set: { name: DELETED_USER_NAME } })
+  ]);
+
+  user.name = DELETED_USER_NAME;
+  user.email = `deleted-${user._id}@deleted.invalid`;
+  user.pendingEmail = undefined;
+  user.password = undefined;
+  user.passwordHistory = [];
+  user.googleId = undefined;
+  user.phone = undefined;
+  user.isPhoneVerified = false;
+  user.address = undefined;
+  user.isActive = false;
+  user.isEmailVerified = false;
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.deletedAt = Date.now();
+
+  // Password/email validators do not apply to anonymized accounts
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+
+/**
+ * Product Filters
+ * Storefront filters and facet counts for the product listing.
+ * Values within one facet are OR-ed (`tags=fresh,local`), different facets are AND-ed,
+ * and the counts of a facet ignore its own filter so the other choices stay visible.
+ */
+
+const FACETS = ['category', 'tags', 'isOrganic', 'inStock', 'rating', 'unit', 'discount'];
+
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+// `any` is every discounted product, numbers are minimum percentages
+const DISCOUNT_BUCKETS = ['any', 10, 25, 50];
+
+const MAX_FILTER_VALUES = 20;
+const MAX_TAG_FACETS = 30;
+
+const invalidFilter = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Helper function to split a comma-separated (or repeated) query value
+const parseList = (value) => {
+  const values = (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+  return [...new Set(values)].slice(0, MAX_FILTER_VALUES);
+};
+
+const parseBoolean = (value, name) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  throw invalidFilter(`${name} must be true or false`);
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw invalidFilter(`${name} must be a number`);
+  }
+  return number;
+};
+
+/**
+ * Fields computed before filtering: `available` (in stock with stock left) and `discountPercent`
+ * @returns {object} - $addFields stage
+ */
+exports.getComputedFieldsStage = () => ({
+  $addFields: {
+    available: { $and: [{ $eq: ['$inStock', true] }, { $gt: ['$stock', 0] }] },
+    discountPercent: {
+      $cond: [
+        { $gt: ['$comparePrice', '$price'] },
+        { $round: [{ $multiply: [{ $divide: [{ $subtract: ['$comparePrice', '$price'] }, '$comparePrice'] }, 100] }, 0] },
+        0
+      ]
+    }
+  }
+});
+
+/**
+ * Build one filter per facet from the query string
+ * @param {object} params - category, tags, isOrganic, inStock, minRating, unit, minDiscount
+ * @returns {Promise<object>} - { facetName: matchObject } for every filter given
+ */
+exports.buildFacetFilters = async (params) => {
+  const filters = {};
+
+  const categories = params.category ? parseList(params.category).filter((value) => value !== 'All') : [];
+  if (categories.length > 0) {
+    const ids = [];
+    for (const identifier of categories) {
+      const category = await Category.resolve(identifier);
+      // Unknown categories match nothing
+      if (category) {
+        ids.push(...(await Category.getSubtreeIds(category._id)));
+      }
+    }
+    filters.category = { category: { $in: ids } };
+  }
+
+  if (params.tags) {
+    filters.tags = { tags: { $in: parseList(params.tags) } };
+  }
+
+  if (params.isOrganic !== undefined) {
+    filters.isOrganic = { isOrganic: parseBoolean(params.isOrganic, 'isOrganic') };
+  }
+
+  if (params.inStock !== undefined) {
+    filters.inStock = { available: parseBoolean(params.inStock, 'inStock') };
+  }
+
+  if (params.minRating !== undefined) {
+    filters.rating = { rating: { $gte: parseNumber(params.minRating, 'minRating') } };
+  }
+
+  if (params.unit) {
+    filters.unit = { unit: { $in: parseList(params.unit) } };
+  }
+
+  if (params.minDiscount !== undefined) {
+    filters.discount = {
+      discountPercent: params.minDiscount === 'any'
+        ? { $gt: 0 }
+        : { $gte: parseNumber(params.minDiscount, 'minDiscount') }
+    };
+  }
+
+  return filters;
+};
+
+/**
+ * Combine facet filters into a $match condition
+ * @param {object} filters - From buildFacetFilters
+ * @param {string} [exceptFacet] - Facet to leave out
+ * @returns {object} - $match condition
+ */
+exports.combineFilters = (filters, exceptFacet) => {
+  const conditions = Object.entries(filters)
+    .filter(([facet]) => facet !== exceptFacet)
+    .map(([, condition]) => condition);
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+const countBuckets = (field, buckets, toCondition) => [
+  {
+    $group: buckets.reduce((group, bucket) => ({
+      ...group,
+      [String(bucket)]: { $sum: { $cond: [toCondition(field, bucket), 1, 0] } }
+    }), { _id: null })
+  }
+];
+
+/**
+ * Sub-pipelines counting the values of every facet, for use inside $facet
+ * @param {object} filters - From buildFacetFilters
+ * @returns {object} - { facetName: pipeline }
+ */
+exports.buildFacetPipelines = (filters) => {
+  const pipelines = {
+    category: countBy('$category'),
+    tags: [{ $unwind: '$tags' }, ...countBy('$tags'), { $limit: MAX_TAG_FACETS }],
+    isOrganic: countBy('$isOrganic'),
+    inStock: countBy('$available'),
+    rating: countBuckets('$rating', RATING_BUCKETS, (field, bucket) => ({ $gte: [field, bucket] })),
+    unit: countBy('$unit'),
+    discount: countBuckets('$discountPercent', DISCOUNT_BUCKETS, (field, bucket) => (
+      bucket === 'any' ? { $gt: [field, 0] } : { $gte: [field, bucket] }
+    ))
+  };
+
+  return FACETS.reduce((facets, facet) => ({
+    ...facets,
+    [facet]: [{ $match: exports.combineFilters(filters, facet) }, ...pipelines[facet]]
+  }), {});
+};
+
+// Category counts include products in subcategories, like the category filter does
+const formatCategoryFacet = async (counts) => {
+  // Text categories not yet moved by `npm run migrate:categories` are left out
+  const directCounts = new Map(counts
+    .filter(({ _id }) => _id instanceof mongoose.Types.ObjectId)
+    .map(({ _id, count }) => [String(_id), count]));
+  const categories = await Category.find({ _id: { $in: [...directCounts.keys()] } }).select('ancestors');
+
+  const totals = new Map();
+  for (const category of categories) {
+    const count = directCounts.get(String(category._id));
+    for (const id of [category._id, ...category.ancestors]) {
+      totals.set(String(id), (totals.get(String(id)) || 0) + count);
+    }
+  }
+
+  const withCounts = await Category.find({ _id: { $in: [...totals.keys()] } })
+    .select('name slug parent sortOrder')
+    .sort({ sortOrder: 1, name: 1 });
+
+  return withCounts.map((category) => ({
+    value: category._id,
+    name: category.name,
+    slug: category.slug,
+    parent: category.parent,
+    count: totals.get(String(category._id))
+  }));
+};
+
+const formatBuckets = (result, buckets) => {
+  const counts = result[0] || {};
+  return buckets.map((bucket) => ({ value: bucket, count: counts[String(bucket)] || 0 }));
+};
+
+const formatCounts = (counts) => counts
+  .filter(({ _id }) => _id !== null && _id !== undefined)
+  .map(({ _id, count }) => ({ value: _id, count }));
+
+/**
+ * Turn the $facet output into { facetName: [{ value, count }] }
+ * @param {object} raw - One $facet result document
+ * @returns {Promise<object>} - Facet counts
+ */
+exports.formatFacets = async (raw) => ({
+  category: await formatCategoryFacet(raw.category),
+  tags: formatCounts(raw.tags),
+  isOrganic: formatCounts(raw.isOrganic),
+  inStock: formatCounts(raw.inStock),
+  rating: formatBuckets(raw.rating, RATING_BUCKETS),
+  unit: formatCounts(raw.unit),
+  discount: formatBuckets(raw.discount, DISCOUNT_BUCKETS)
+});
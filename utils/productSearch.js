@@ -0,0 +1,252 @@
+const Product = require('../models/Product');
+
+/**
+ * Product Search
+ * Full-text search uses the weighted text index on Product (name > tags > description).
+ * Misspelled words are corrected against the catalog vocabulary before querying, and
+ * autocomplete is served from the same in-memory index, rebuilt at most once a minute
+ * and after products are created, updated, deleted or imported.
+ */
+
+const INDEX_TTL_MS = 60 * 1000;
+
+// Words shorter than this are never corrected, too many real words are one edit apart
+const MIN_CORRECTION_LENGTH = 4;
+
+let searchIndex = null;
+let pendingBuild = null;
+// Bumped by clearSearchIndex; a build started before a product change is not kept
+let generation = 0;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split text into lowercase words without accents
+ * @param {string} text - Any text
+ * @returns {Array<string>} - Words
+ */
+exports.tokenize = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+// Optimal string alignment distance (a swap of two letters counts as one edit), capped at max + 1
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+// Load product names and tags into memory for corrections and autocomplete
+// Description words are only recorded as known words: they are never corrected, nor offered as corrections
+const buildIndex = async () => {
+  const products = await Product.find({}, 'name tags description image price rating').lean();
+  const terms = new Map();
+  const knownWords = new Set();
+
+  const entries = products.map((product) => {
+    const words = exports.tokenize(product.name);
+
+    // Name words weigh more than tags when choosing between corrections
+    words.forEach((word) => terms.set(word, (terms.get(word) || 0) + 2));
+    (product.tags || []).forEach((tag) => {
+      exports.tokenize(tag).forEach((word) => terms.set(word, (terms.get(word) || 0) + 1));
+    });
+    exports.tokenize(product.description).forEach((word) => knownWords.add(word));
+
+    return {
+      product: { _id: product._id, name: product.name, image: product.image, price: product.price },
+      name: words.join(' '),
+      words,
+      rating: product.rating || 0
+    };
+  });
+
+  terms.forEach((weight, term) => knownWords.add(term));
+
+  return { builtAt: Date.now(), terms, knownWords, entries };
+};
+
+const getIndex = async () => {
+  if (searchIndex && Date.now() - searchIndex.builtAt < INDEX_TTL_MS) {
+    return searchIndex;
+  }
+
+  // Concurrent requests share one rebuild
+  if (!pendingBuild) {
+    const startedGeneration = generation;
+    const build = buildIndex()
+      .then((index) => {
+        if (generation === startedGeneration) {
+          searchIndex = index;
+        }
+        return index;
+      })
+      .finally(() => {
+        if (pendingBuild === build) {
+          pendingBuild = null;
+        }
+      });
+    pendingBuild = build;
+  }
+
+  return pendingBuild;
+};
+
+/**
+ * Drop the cached index so the next search reloads it (call after changing products)
+ */
+exports.clearSearchIndex = () => {
+  generation++;
+  searchIndex = null;
+  // Requests after the change must not join a build that may have read the old data
+  pendingBuild = null;
+};
+
+// Closest catalog word to a misspelled one, or null
+const findCorrection = (word, { terms, knownWords }) => {
+  if (word.length < MIN_CORRECTION_LENGTH || knownWords.has(word) || /\d/.test(word)) {
+    return null;
+  }
+
+  const maxDistance = word.length <= 6 ? 1 : 2;
+  let best = null;
+
+  for (const [term, weight] of terms) {
+    const distance = editDistance(word, term, maxDistance);
+
+    if (distance <= maxDistance &&
+      (!best || distance < best.distance || (distance === best.distance && weight > best.weight))) {
+      best = { term, distance, weight };
+    }
+  }
+
+  return best ? best.term : null;
+};
+
+/**
+ * Build the filter for a search query
+ * @param {string} search - Query as typed by the user
+ * @returns {Promise<object>} - { filter, correctedQuery } where correctedQuery is set when words were corrected
+ */
+exports.buildSearchFilter = async (search) => {
+  const index = await getIndex();
+  let corrected = false;
+
+  const words = exports.tokenize(search).map((word) => {
+    const correction = findCorrection(word, index);
+    if (correction) {
+      corrected = true;
+      return correction;
+    }
+    return word;
+  });
+
+  // Plain words only, so quotes and minus signs in the input cannot change the $text syntax
+  const query = words.join(' ');
+
+  return {
+    filter: { $text: { $search: query } },
+    correctedQuery: corrected ? query : null
+  };
+};
+
+/**
+ * Build a case-insensitive substring filter, used when whole-word text search finds nothing
+ * @param {string} search - Query as typed by the user
+ * @param {Array<string>} fields - Fields to match
+ * @returns {object} - MongoDB filter
+ */
+exports.buildSubstringFilter = (search, fields) => {
+  const pattern = escapeRegex(String(search).trim());
+  return { $or: fields.map((field) => ({ [field]: { $regex: pattern, $options: 'i' } })) };
+};
+
+/**
+ * Suggest products and words for a partially typed query
+ * The last word is matched as a prefix, earlier words must match whole words.
+ * @param {string} search - Partial query
+ * @param {number} limit - Maximum number of products
+ * @returns {Promise<object>} - { products, terms, correctedQuery }
+ */
+exports.getSuggestions = async (search, limit) => {
+  const index = await getIndex();
+  const { terms, entries } = index;
+  const words = exports.tokenize(search);
+
+  if (words.length === 0) {
+    return { products: [], terms: [], correctedQuery: null };
+  }
+
+  const typed = words.join(' ');
+
+  const findMatches = (queryWords) => {
+    const complete = queryWords.slice(0, -1);
+    const prefix = queryWords[queryWords.length - 1];
+
+    return entries
+      .filter((entry) => complete.every((word) => entry.words.includes(word)) &&
+        entry.words.some((word) => word.startsWith(prefix)))
+      .map((entry) => ({
+        ...entry,
+        // Names starting with the query first, then a word starting with it, then by rating
+        rank: entry.name.startsWith(queryWords.join(' ')) ? 2 : entry.words[0].startsWith(prefix) ? 1 : 0
+      }))
+      .sort((a, b) => b.rank - a.rank || b.rating - a.rating || a.name.localeCompare(b.name));
+  };
+
+  let queryWords = words;
+  let matches = findMatches(queryWords);
+
+  // Nothing starts with what was typed, try again with misspelled words corrected
+  if (matches.length === 0) {
+    queryWords = words.map((word) => findCorrection(word, index) || word);
+    matches = findMatches(queryWords);
+  }
+
+  const prefix = queryWords[queryWords.length - 1];
+  const suggestedTerms = [...terms.entries()]
+    .filter(([term]) => term.startsWith(prefix) && term !== prefix)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 5)
+    .map(([term]) => [...queryWords.slice(0, -1), term].join(' '));
+
+  return {
+    products: matches.slice(0, limit).map((match) => match.product),
+    terms: suggestedTerms,
+    correctedQuery: queryWords.join(' ') !== typed ? queryWords.join(' ') : null
+  };
+};
@@ -0,0 +1,235 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { toCsv, parseCsv } = require('./csv');
+
+/**
+ * Product Sheet
+ * Converts products to and from CSV/XLSX rows for bulk import and export.
+ * One row per product; tags and images are `|`-separated and variants are a JSON array.
+ * `_id` identifies products that have no SKU yet, so an export can always be imported back.
+ */
+
+const PRODUCT_COLUMNS = [
+  '_id',
+  'sku',
+  'name',
+  'category',
+  'description',
+  'price',
+  'comparePrice',
+  'stock',
+  'unit',
+  'isOrganic',
+  'isFeatured',
+  'tags',
+  'image',
+  'images',
+  'benefits',
+  'nutrition',
+  'variants'
+];
+
+const NUMBER_FIELDS = ['price', 'comparePrice', 'stock'];
+const BOOLEAN_FIELDS = ['isOrganic', 'isFeatured'];
+const LIST_FIELDS = ['tags', 'images'];
+const LIST_SEPARATOR = '|';
+
+const VARIANT_FIELDS = ['name', 'sku', 'price', 'comparePrice', 'stock', 'unit', 'isActive'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const sheetError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Raw cell rows of the first worksheet (or the CSV file)
+const readCells = async (file, format) => {
+  if (format === 'csv') {
+    return parseCsv(file.buffer.toString('utf8'));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(file.buffer);
+  } catch (error) {
+    throw sheetError('Could not read the XLSX file');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  const rows = [];
+
+  if (worksheet) {
+    worksheet.eachRow((row) => {
+      const cells = [];
+      for (let column = 1; column <= row.cellCount; column++) {
+        cells.push(row.getCell(column).text);
+      }
+      rows.push(cells);
+    });
+  }
+
+  return rows;
+};
+
+/**
+ * Get the sheet format from a file name
+ * @param {string} filename - Original file name
+ * @returns {string|null} - 'csv', 'xlsx' or null
+ */
+exports.getSheetFormat = (filename) => {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  return CONTENT_TYPES[extension] ? extension : null;
+};
+
+/**
+ * Read an uploaded product sheet
+ * @param {object} file - Multer file ({ originalname, buffer })
+ * @returns {Promise<Array>} - [{ row, values }] where row is the 1-based sheet row and values are keyed by column
+ */
+exports.readProductSheet = async (file) => {
+  const format = exports.getSheetFormat(file.originalname);
+
+  if (!format) {
+    throw sheetError('Only .csv and .xlsx files are allowed');
+  }
+
+  const [header = [], ...rows] = await readCells(file, format);
+
+  // Match headers case-insensitively; unknown columns are ignored
+  const columns = header.map((name) => {
+    const normalized = String(name).trim().toLowerCase();
+    return PRODUCT_COLUMNS.find((column) => column.toLowerCase() === normalized) || null;
+  });
+
+  if (!columns.includes('sku') && !columns.includes('_id')) {
+    throw sheetError('The file must have a header row with a "sku" or "_id" column');
+  }
+
+  return rows.map((cells, index) => {
+    const values = {};
+
+    columns.forEach((column, position) => {
+      if (column) {
+        values[column] = String(cells[position] === undefined ? '' : cells[position]).trim();
+      }
+    });
+
+    return { row: index + 2, values };
+  });
+};
+
+/**
+ * Convert sheet values into product data
+ * Blank cells are left out, so updates keep the existing value.
+ * @param {object} values - Cell values keyed by column
+ * @returns {object} - { data, errors }
+ */
+exports.rowToProduct = (values) => {
+  const data = {};
+  const errors = [];
+
+  for (const [column, value] of Object.entries(values)) {
+    if (value === '') {
+      continue;
+    }
+
+    if (NUMBER_FIELDS.includes(column)) {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        errors.push(`${column} must be a number`);
+      } else {
+        data[column] = number;
+      }
+    } else if (BOOLEAN_FIELDS.includes(column)) {
+      if (/^(true|yes|1)$/i.test(value)) {
+        data[column] = true;
+      } else if (/^(false|no|0)$/i.test(value)) {
+        data[column] = false;
+      } else {
+        errors.push(`${column} must be true or false`);
+      }
+    } else if (LIST_FIELDS.includes(column)) {
+      data[column] = value.split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean);
+    } else if (column === 'variants') {
+      try {
+        data.variants = JSON.parse(value);
+      } catch (error) {
+        errors.push('variants must be a JSON array');
+      }
+    } else {
+      data[column] = value;
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Convert a product into sheet values (the inverse of rowToProduct)
+ * @param {object} product - Product with `category` populated
+ * @returns {object} - Cell values keyed by column
+ */
+exports.productToRow = (product) => {
+  const row = {};
+
+  for (const column of PRODUCT_COLUMNS) {
+    row[column] = product[column];
+  }
+
+  row._id = String(product._id);
+  row.category = product.category ? product.category.slug : '';
+
+  for (const column of LIST_FIELDS) {
+    row[column] = (product[column] || []).join(LIST_SEPARATOR);
+  }
+
+  const variants = product.variants || [];
+  row.variants = variants.length > 0
+    ? JSON.stringify(variants.map((variant) => {
+      const fields = {};
+      VARIANT_FIELDS.forEach((field) => {
+        if (variant[field] !== undefined) {
+          fields[field] = variant[field];
+        }
+      });
+      return fields;
+    }))
+    : '';
+
+  // Variant products derive price and stock, exporting them would only invite edits that are ignored
+  if (variants.length > 0) {
+    row.price = '';
+    row.stock = '';
+  }
+
+  return row;
+};
+
+/**
+ * Build a product sheet file
+ * @param {Array<object>} rows - Values from productToRow
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<object>} - { body, contentType }
+ */
+exports.writeProductSheet = async (rows, format) => {
+  if (format === 'csv') {
+    return { body: toCsv(PRODUCT_COLUMNS, rows), contentType: CONTENT_TYPES.csv };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Products');
+
+  worksheet.columns = PRODUCT_COLUMNS.map((column) => ({ header: column, key: column, width: 18 }));
+  worksheet.addRows(rows);
+  worksheet.getRow(1).font = { bold: true };
+
+  return { body: Buffer.from(await workbook.xlsx.writeBuffer()), contentType: CONTENT_TYPES.xlsx };
+};
+
+exports.PRODUCT_COLUMNS = PRODUCT_COLUMNS;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const Review = require('../models/Review');
+
+/**
+ * Review Moderation
+ * Screens review text (and product questions and answers) for profanity and spam. Clean content
+ * is published straight away unless approval is required; flagged content waits for a moderator.
+ */
+
+const PROFANITY_FILE = path.join(__dirname, '..', 'config', 'profanity.txt');
+
+// Common letter/digit swaps used to get around word filters
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|info|biz|io|co|ru|xyz|top|shop)\b/i;
+
+let profanity = null;
+
+// Loaded once on first use
+const getProfanity = () => {
+  if (!profanity) {
+    profanity = new Set(
+      fs.readFileSync(PROFANITY_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+
+  return profanity;
+};
+
+const getReviewsPerHour = () => Number(process.env.REVIEW_MAX_PER_HOUR) || 5;
+
+/**
+ * Whether every new or edited review waits for a moderator
+ * @returns {boolean}
+ */
+exports.requiresApproval = () => process.env.REVIEW_REQUIRE_APPROVAL === 'true';
+
+const containsProfanity = (text) => {
+  const list = getProfanity();
+  const words = text
+    .toLowerCase()
+    .replace(/[013457@$!]/g, (char) => LOOKALIKES[char])
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+  // Also catch words spelled out with spaces or dots ("s h i t")
+  const joinedLetters = text.toLowerCase().match(/\b[a-z](?:[\s.*_-][a-z]\b)+/g) || [];
+
+  return words.some((word) => list.has(word)) ||
+    joinedLetters.some((letters) => list.has(letters.replace(/[^a-z]/g, '')));
+};
+
+const isRepetitive = (text) => {
+  // "Greaaaaaat!!!!!!" or the same word over and over
+  if (/(.)\1{5,}/.test(text)) {
+    return true;
+  }
+
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  return words.length >= 8 && new Set(words).size / words.length < 0.3;
+};
+
+const isShouting = (text) => {
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  return letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.8;
+};
+
+/**
+ * Check text for profanity, links and spam patterns
+ * @param {string} text - Review, question or answer text
+ * @returns {Array<string>} - Flags, empty when the text looks fine
+ */
+exports.screenText = (text) => {
+  const flags = [];
+
+  if (containsProfanity(text)) flags.push('profanity');
+  if (LINK_PATTERN.test(text)) flags.push('link');
+  if (isRepetitive(text)) flags.push('repetition');
+  if (isShouting(text)) flags.push('shouting');
+
+  return flags;
+};
+
+/**
+ * Whether a user already posted the hourly maximum (REVIEW_MAX_PER_HOUR) of reviews, questions or answers
+ * @param {object} Model - Review, Question or Answer model
+ * @param {string} user - User ID
+ * @returns {Promise<boolean>}
+ */
+exports.isPostingTooOften = async (Model, user) => {
+  const recentCount = await Model.countDocuments({
+    user,
+    createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+  });
+
+  return recentCount >= getReviewsPerHour();
+};
+
+/**
+ * Check a review for profanity and spam
+ * @param {object} review - { user, comment, _id (when editing) }
+ * @returns {Promise<Array<string>>} - Flags, empty when the review looks fine
+ */
+exports.screenReview = async ({ user, comment, _id }) => {
+  const text = String(comment || '');
+  const flags = exports.screenText(text);
+
+  const others = { user, ...(_id && { _id: { $ne: _id } }) };
+  const [duplicate, tooFrequent] = await Promise.all([
+    // The same text pasted on several products
+    Review.exists({ ...others, comment: text.trim() }),
+    // Edits do not count as new posts
+    !_id && exports.isPostingTooOften(Review, user)
+  ]);
+
+  if (duplicate) flags.push('duplicate');
+  if (tooFrequent) flags.push('too_frequent');
+
+  return flags;
+};
+
+/**
+ * Status for a new or edited review (or question/answer)
+ * @param {Array<string>} flags - From screenReview or screenText
+ * @param {string} [previousStatus] - Status before an edit
+ * @param {boolean} [requireApproval] - Hold clean content too, defaults to REVIEW_REQUIRE_APPROVAL
+ * @returns {string} - 'approved' or 'pending'
+ */
+exports.getReviewStatus = (flags, previousStatus, requireApproval = exports.requiresApproval()) => {
+  // A rejected review goes back to a moderator, editing it must not publish it
+  if (flags.length > 0 || previousStatus === 'rejected' || requireApproval) {
+    return 'pending';
+  }
+
+  return 'approved';
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail delivery service
+ * Messages are handed to a pluggable transport selected with MAIL_TRANSPORT.
+ * Built-in transports are `console` (default outside production) and `file` for local development;
+ * a production transport (SMTP, SES, etc.) can be plugged in with setTransport.
+ * In production there is no default, so mail is never silently written to the logs.
+ */
+
+const DEFAULT_FROM = 'OrganicMart <no-reply@organicmart.com>';
+
+/**
+ * Log messages to stdout
+ * @param {object} message - Normalized mail message
+ * @returns {Promise<object>} - Delivery info
+ */
+const consoleTransport = async (message) => {
+  console.log('📧 ===== OUTGOING EMAIL =====');
+  console.log(`To: ${message.to}`);
+  console.log(`Subject: ${message.subject}`);
+  console.log(message.text);
+  console.log('=============================');
+
+  return { transport: 'console' };
+};
+
+/**
+ * Write messages as JSON files into MAIL_FILE_DIR
+ * @param {object} message - Normalized mail message
+ * @returns {Promise<object>} - Delivery info
+ */
+const fileTransport = async (message) => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+  const filePath = path.join(dir, fileName);
+
+  await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+  return { transport: 'file', path: filePath };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let customTransport = null;
+
+/**
+ * Plug in a custom transport (e.g. SMTP or a provider SDK)
+ * @param {Function|null} transport - async (message) => info, or null to reset
+ */
+exports.setTransport = (transport) => {
+  customTransport = transport;
+};
+
+/**
+ * Base URL of the web app, used for links in emails
+ * @returns {string} - FRONTEND_URL (required in production)
+ */
+exports.getFrontendUrl = () => {
+  if (process.env.FRONTEND_URL) {
+    return process.env.FRONTEND_URL;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('FRONTEND_URL must be set in production');
+  }
+
+  return 'http://localhost:5173';
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} options - { to, subject, text, html }
+ * @returns {Promise<object>} - Delivery info from the transport
+ */
+exports.sendEmail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Email recipient and subject are required');
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text: text || '',
+    html,
+    sentAt: new Date().toISOString()
+  };
+
+  const transportName = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? null : 'console');
+  const transport = customTransport || transports[transportName];
+
+  if (!transport && !transportName) {
+    throw new Error('No mail transport configured, set MAIL_TRANSPORT or plug one in with setTransport');
+  }
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transport(message);
+};
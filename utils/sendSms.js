@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SMS delivery service
+ * Messages are handed to a pluggable transport selected with SMS_TRANSPORT.
+ * Built-in transports are `console` (default) and `file` for local development;
+ * a provider (Twilio, SNS, etc.) can be plugged in with setTransport.
+ */
+
+/**
+ * Log messages to stdout
+ * @param {object} message - Normalized SMS message
+ * @returns {Promise<object>} - Delivery info
+ */
+const consoleTransport = async (message) => {
+  console.log('📱 ===== OUTGOING SMS =====');
+  console.log(`To: ${message.to}`);
+  console.log(message.text);
+  console.log('===========================');
+
+  return { transport: 'console' };
+};
+
+/**
+ * Write messages as JSON files into SMS_FILE_DIR
+ * @param {object} message - Normalized SMS message
+ * @returns {Promise<object>} - Delivery info
+ */
+const fileTransport = async (message) => {
+  const dir = process.env.SMS_FILE_DIR || path.join(process.cwd(), 'tmp', 'sms');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const fileName = `${Date.now()}-${message.to.replace(/[^0-9+]/g, '_')}.json`;
+  const filePath = path.join(dir, fileName);
+
+  await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+  return { transport: 'file', path: filePath };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let customTransport = null;
+
+/**
+ * Plug in a custom transport (e.g. an SMS provider SDK)
+ * @param {Function|null} transport - async (message) => info, or null to reset
+ */
+exports.setTransport = (transport) => {
+  customTransport = transport;
+};
+
+/**
+ * Send a text message through the configured transport
+ * @param {object} options - { to, text }
+ * @returns {Promise<object>} - Delivery info from the transport
+ */
+exports.sendSms = async ({ to, text }) => {
+  if (!to || !text) {
+    throw new Error('SMS recipient and text are required');
+  }
+
+  const message = {
+    from: process.env.SMS_FROM || 'OrganicMart',
+    to,
+    text,
+    sentAt: new Date().toISOString()
+  };
+
+  const transportName = process.env.SMS_TRANSPORT || 'console';
+  const transport = customTransport || transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${transportName}`);
+  }
+
+  return transport(message);
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage service
+ * Uploaded files go through a pluggable backend selected with STORAGE_DRIVER.
+ * Built-in backends are `local` (default, files under UPLOAD_DIR served at /uploads)
+ * and `s3` for any S3-compatible bucket; another backend can be plugged in with setStorage.
+ */
+
+const LOCAL_URL_PREFIX = '/uploads';
+
+/**
+ * Directory used by the local backend
+ * @returns {string} - Absolute path
+ */
+exports.getLocalUploadDir = () => path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+
+// Keys are generated server-side, but never let one escape the upload directory
+const getLocalPath = (key) => {
+  const root = exports.getLocalUploadDir();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+const localStorage = {
+  name: 'local',
+
+  async put(key, body) {
+    const filePath = getLocalPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  },
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(getLocalPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  },
+
+  getUrl(key) {
+    const baseUrl = (process.env.UPLOAD_BASE_URL || '').replace(/\/$/, '');
+    return `${baseUrl}${LOCAL_URL_PREFIX}/${key}`;
+  }
+};
+
+let s3 = null;
+
+// The AWS SDK is an optional dependency, only loaded when the s3 backend is used
+const getS3 = () => {
+  if (s3) {
+    return s3;
+  }
+
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package');
+  }
+
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new sdk.S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    // Custom endpoints (MinIO, R2, Spaces...) usually need path-style URLs
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  s3 = { sdk, client, bucket: process.env.S3_BUCKET };
+  return s3;
+};
+
+const s3Storage = {
+  name: 's3',
+
+  async put(key, body, contentType) {
+    const { sdk, client, bucket } = getS3();
+
+    await client.send(new sdk.PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+  },
+
+  async remove(key) {
+    const { sdk, client, bucket } = getS3();
+    await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  },
+
+  getUrl(key) {
+    if (process.env.S3_PUBLIC_URL) {
+      return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+    }
+
+    if (process.env.S3_ENDPOINT) {
+      return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${process.env.S3_BUCKET}/${key}`;
+    }
+
+    return `https://${process.env.S3_BUCKET}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com/${key}`;
+  }
+};
+
+const backends = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+let customStorage = null;
+
+/**
+ * Plug in a custom storage backend
+ * @param {object|null} storage - { name, put(key, body, contentType), remove(key), getUrl(key) }, or null to reset
+ */
+exports.setStorage = (storage) => {
+  customStorage = storage;
+};
+
+/**
+ * Get the configured storage backend
+ * @returns {object} - Storage backend
+ */
+exports.getStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  const storage = customStorage || backends[driver];
+
+  if (!storage) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  return storage;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Storage key, e.g. `products/<id>/<name>.webp`
+ * @param {Buffer} body - File contents
+ * @param {string} contentType - MIME type
+ * @returns {Promise<object>} - { key, url }
+ */
+exports.saveFile = async (key, body, contentType) => {
+  const storage = exports.getStorage();
+  await storage.put(key, body, contentType);
+
+  return { key, url: storage.getUrl(key) };
+};
+
+/**
+ * Delete files, best effort (failures are logged, not thrown)
+ * @param {Array<string>} keys - Storage keys
+ */
+exports.deleteFiles = async (keys) => {
+  const storage = exports.getStorage();
+  const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`❌ Failed to delete stored file ${keys[index]}:`, result.reason.message);
+    }
+  });
+};
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const AuthCode = require('../models/AuthCode');
+const User = require('../models/User');
+
+/**
+ * Token Service
+ * Short-lived JWT access tokens bound to a server-side AuthSession, plus
+ * rotating opaque refresh tokens of the form `<sessionId>.<secret>`.
+ */
+
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const getAccessTokenMinutes = () => Number(process.env.ACCESS_TOKEN_EXPIRE_MINUTES) || 15;
+
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const createSecret = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiryDate = () => new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000);
+
+// Authorization codes only need to survive the frontend redirect
+const AUTH_CODE_TTL_MS = 60 * 1000;
+
+// Only persist lastSeenAt this often to avoid a write on every request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Issue an access token for an existing session
+ * @param {object} user - User document
+ * @param {object} session - AuthSession document
+ * @returns {string} - Signed JWT
+ */
+exports.issueAccessToken = (user, session) => {
+  return user.generateToken(session._id);
+};
+
+/**
+ * Extract device details for a session from the request
+ * @param {object} req - Express request
+ * @returns {object} - { userAgent, ipAddress }
+ */
+exports.getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || 'Unknown').slice(0, 500),
+  ipAddress: req.ip
+});
+
+/**
+ * Issue a short-lived impersonation access token
+ * The token is bound to the actor's session, so it dies with it, and has no refresh token.
+ * @param {object} actor - Staff user doing the impersonation
+ * @param {object} target - User being impersonated
+ * @param {object} session - Actor's AuthSession document
+ * @returns {object} - { token, expiresAt }
+ */
+exports.issueImpersonationToken = (actor, target, session) => {
+  const expireMinutes = Number(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15;
+
+  const token = jwt.sign(
+    { id: target._id, sid: session._id, imp: actor._id },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expireMinutes}m` }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + expireMinutes * 60 * 1000)
+  };
+};
+
+/**
+ * Start a new session (token family) for a user
+ * @param {object} user - User document
+ * @param {object} [clientInfo] - { userAgent, ipAddress } from getClientInfo
+ * @param {object} [options] - { twoFactorVerified }
+ * @returns {Promise<object>} - { session, accessToken, refreshToken }
+ */
+exports.createSession = async (user, clientInfo = {}, options = {}) => {
+  const secret = createSecret();
+
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: clientInfo.userAgent,
+    ipAddress: clientInfo.ipAddress,
+    lastSeenAt: new Date(),
+    twoFactorVerified: Boolean(options.twoFactorVerified),
+    expiresAt: refreshExpiryDate()
+  });
+
+  return {
+    session,
+    accessToken: exports.issueAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting an already-rotated token revokes the whole session.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {object} [clientInfo] - { userAgent, ipAddress } from getClientInfo
+ * @returns {Promise<object>} - { user, session, accessToken, refreshToken }
+ */
+exports.rotateRefreshToken = async (refreshToken, clientInfo = {}) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const session = await AuthSession.findById(sessionId);
+
+  if (!session || !session.isActive()) {
+    throw unauthorized('Session has expired, please log in again');
+  }
+
+  const nextSecret = createSecret();
+
+  // Atomic compare-and-swap so only one request can rotate a given token
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    {
+      refreshTokenHash: hashSecret(nextSecret),
+      expiresAt: refreshExpiryDate(),
+      lastSeenAt: new Date(),
+      ...(clientInfo.ipAddress && { ipAddress: clientInfo.ipAddress })
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    console.warn(`⚠️  Refresh token reuse detected for session ${session._id}`);
+    await exports.revokeSession(session._id, 'reuse_detected');
+    throw unauthorized('Refresh token reuse detected, please log in again');
+  }
+
+  const user = await User.findById(rotated.user);
+
+  if (!user || !user.isActive) {
+    await exports.revokeSession(rotated._id, 'user_inactive');
+    throw unauthorized('Not authorized to access this route');
+  }
+
+  return {
+    user,
+    session: rotated,
+    accessToken: exports.issueAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${nextSecret}`
+  };
+};
+
+/**
+ * Load a session if it is still active and belongs to the user
+ * @param {string} sessionId - AuthSession ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @returns {Promise<object|null>} - Active session or null
+ */
+exports.getActiveSession = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const session = await AuthSession.findById(sessionId);
+
+  if (!session || !session.isActive() || session.user.toString() !== String(userId)) {
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Record activity on a session (throttled)
+ * @param {object} session - AuthSession document
+ * @param {object} [clientInfo] - { userAgent, ipAddress } from getClientInfo
+ */
+exports.touchSession = async (session, clientInfo = {}) => {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_INTERVAL_MS) {
+    return;
+  }
+
+  const update = { lastSeenAt: new Date() };
+  if (clientInfo.ipAddress) {
+    update.ipAddress = clientInfo.ipAddress;
+  }
+
+  await AuthSession.updateOne({ _id: session._id }, update);
+};
+
+/**
+ * Mark a session as having passed two-factor verification
+ * @param {string} sessionId - AuthSession ID
+ */
+exports.markSessionTwoFactorVerified = async (sessionId) => {
+  await AuthSession.updateOne({ _id: sessionId }, { twoFactorVerified: true });
+};
+
+/**
+ * List active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Active AuthSession documents
+ */
+exports.getUserSessions = async (userId) => {
+  return AuthSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort('-lastSeenAt');
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - AuthSession ID
+ * @param {string} reason - Revocation reason
+ */
+exports.revokeSession = async (sessionId, reason) => {
+  await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+exports.revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await AuthSession.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Set access and refresh token cookies
+ * @param {object} res - Express response
+ * @param {object} tokens - { accessToken, refreshToken, session }
+ */
+exports.setAuthCookies = (res, { accessToken, refreshToken, session }) => {
+  const baseOptions = {
+    httpOnly: true, // Prevents XSS attacks
+    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+    sameSite: 'strict' // CSRF protection
+  };
+
+  res.cookie('token', accessToken, {
+    ...baseOptions,
+    expires: new Date(Date.now() + getAccessTokenMinutes() * 60 * 1000)
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    ...baseOptions,
+    expires: session.expiresAt,
+    path: REFRESH_COOKIE_PATH // Only sent to auth endpoints
+  });
+};
+
+/**
+ * Clear access and refresh token cookies
+ * @param {object} res - Express response
+ */
+exports.clearAuthCookies = (res) => {
+  res.clearCookie('token', { httpOnly: true });
+  res.clearCookie('refreshToken', { httpOnly: true, path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Create a one-time authorization code for a user
+ * @param {object} user - User document
+ * @returns {Promise<string>} - Plain code (only its hash is stored)
+ */
+exports.createAuthorizationCode = async (user) => {
+  const code = crypto.randomBytes(32).toString('hex');
+
+  await AuthCode.create({
+    codeHash: hashSecret(code),
+    user: user._id,
+    expiresAt: new Date(Date.now() + AUTH_CODE_TTL_MS)
+  });
+
+  return code;
+};
+
+/**
+ * Redeem an authorization code (deleted on first use)
+ * @param {string} code - Plain code from the redirect URL
+ * @returns {Promise<object|null>} - User document or null if invalid/expired/used
+ */
+exports.consumeAuthorizationCode = async (code) => {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+
+  const authCode = await AuthCode.findOneAndDelete({
+    codeHash: hashSecret(code),
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!authCode) {
+    return null;
+  }
+
+  return User.findById(authCode.user);
+};
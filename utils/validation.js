@@ -1,4 +1,5 @@
 const validator = require('validator');
+const { getPasswordPolicy, isCommonPassword } = require('../config/passwordPolicy');
 
 // Sanitize user input to prevent XSS attacks
 exports.sanitizeInput = (input) => {
@@ -21,26 +22,41 @@ exports.validateEmail = (email) => {
   return { isValid: true };
 };
 
-// Validate password strength
+// Validate password against the configured policy (config/passwordPolicy.js)
 exports.validatePassword = (password) => {
   if (!password || typeof password !== 'string') {
     return { isValid: false, message: 'Password is required' };
   }
-  
-  if (password.length < 6) {
-    return { isValid: false, message: 'Password must be at least 6 characters long' };
+
+  const policy = getPasswordPolicy();
+
+  if (password.length < policy.minLength) {
+    return { isValid: false, message: `Password must be at least ${policy.minLength} characters long` };
   }
-  
-  if (!validator.isStrongPassword(password, {
-    minLength: 6,
-    minLowercase: 1,
-    minUppercase: 0,
-    minNumbers: 1,
-    minSymbols: 0
-  })) {
-    return { isValid: false, message: 'Password must contain at least one letter and one number' };
+
+  if (Buffer.byteLength(password, 'utf8') > policy.maxBytes) {
+    return { isValid: false, message: 'Password is too long' };
   }
-  
+
+  const classRules = [
+    [policy.requireLowercase, /[a-z]/, 'one lowercase letter'],
+    [policy.requireUppercase, /[A-Z]/, 'one uppercase letter'],
+    [policy.requireNumber, /[0-9]/, 'one number'],
+    [policy.requireSymbol, /[^A-Za-z0-9]/, 'one symbol']
+  ];
+
+  const missing = classRules
+    .filter(([required, pattern]) => required && !pattern.test(password))
+    .map(([, , label]) => label);
+
+  if (missing.length > 0) {
+    return { isValid: false, message: `Password must contain at least ${missing.join(', ')}` };
+  }
+
+  if (policy.rejectCommon && isCommonPassword(password)) {
+    return { isValid: false, message: 'This password is too common, please choose another one' };
+  }
+
   return { isValid: true };
 };
 
@@ -77,12 +93,54 @@ exports.validateProduct = (data) => {
   if (!data.name || data.name.trim().length === 0) {
     errors.push('Product name is required');
   }
-  
-  if (!data.price || data.price <= 0) {
+
+  const hasVariants = Array.isArray(data.variants) && data.variants.length > 0;
+
+  // Products with variants take their price from the variants
+  if (!hasVariants && (!data.price || data.price <= 0)) {
     errors.push('Valid product price is required');
   }
+
+  if (data.variants !== undefined && !Array.isArray(data.variants)) {
+    errors.push('Variants must be an array');
+  }
+
+  if (hasVariants) {
+    const skus = new Set();
+
+    data.variants.forEach((variant, index) => {
+      const label = `Variant ${index + 1}`;
+
+      if (!variant || typeof variant !== 'object') {
+        errors.push(`${label} is invalid`);
+        return;
+      }
+
+      if (!variant.name || String(variant.name).trim().length === 0) {
+        errors.push(`${label}: name is required`);
+      }
+
+      if (!variant.sku || String(variant.sku).trim().length === 0) {
+        errors.push(`${label}: SKU is required`);
+      } else {
+        const sku = String(variant.sku).trim().toUpperCase();
+        if (skus.has(sku)) {
+          errors.push(`${label}: duplicate SKU ${sku}`);
+        }
+        skus.add(sku);
+      }
+
+      if (!variant.price || variant.price <= 0) {
+        errors.push(`${label}: valid price is required`);
+      }
+
+      if (variant.stock !== undefined && variant.stock < 0) {
+        errors.push(`${label}: stock cannot be negative`);
+      }
+    });
+  }
   
-  if (!data.category || data.category.trim().length === 0) {
+  if (!data.category || String(data.category).trim().length === 0) {
     errors.push('Product category is required');
   }
   
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+
+/**
+ * Verified Purchases
+ * A customer counts as a verified buyer of a product once an order containing it was delivered.
+ */
+
+// Order lines store productId as an ObjectId or a string (mock products)
+const productIdValues = (productIds) => productIds.flatMap((id) => [id, String(id)]);
+
+/**
+ * Whether REVIEW_REQUIRE_PURCHASE=true limits reviews to verified buyers
+ * @returns {boolean}
+ */
+exports.requiresPurchase = () => process.env.REVIEW_REQUIRE_PURCHASE === 'true';
+
+/**
+ * Check if a user has received a product
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<boolean>}
+ */
+exports.hasReceivedProduct = async (userId, productId) => {
+  const order = await Order.exists({
+    userId,
+    status: 'delivered',
+    'products.productId': { $in: productIdValues([productId]) }
+  });
+
+  return Boolean(order);
+};
+
+/**
+ * Mark the customer's existing reviews of a delivered order's products as verified
+ * @param {object} order - Delivered Order document
+ */
+exports.markVerifiedReviews = async (order) => {
+  // Mock products (string IDs) have no reviews
+  const productIds = order.products
+    .map((item) => item.productId)
+    .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+
+  if (productIds.length === 0) {
+    return;
+  }
+
+  try {
+    await Review.updateMany(
+      { user: order.userId, product: { $in: productIds }, verifiedPurchase: false },
+      { $set: { verifiedPurchase: true } }
+    );
+  } catch (error) {
+    // The order update must not fail because of review badges
+    console.error('❌ Verified review update error:', error.message);
+  }
+};